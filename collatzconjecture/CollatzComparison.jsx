@@ -1,7 +1,22 @@
 import { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
 
-const CollatzComparison = () => {
+// Renders the nested form of an inverse tree export ("collatz tree --format
+// nested"): { value, depth, children } from the root down
+const InverseTreeNode = ({ node }) => (
+    <li>
+        <span className={node.depth === 0 ? 'font-semibold' : ''}>{node.value}</span>
+        {node.children.length > 0 && (
+            <ul className="pl-4 border-l border-gray-300">
+                {node.children.map(child => (
+                    <InverseTreeNode key={child.value} node={child} />
+                ))}
+            </ul>
+        )}
+    </li>
+);
+
+const CollatzComparison = ({ inverseTree }) => {
     const [data, setData] = useState([]);
     const [stats, setStats] = useState(null);
 
@@ -73,6 +88,18 @@ const CollatzComparison = () => {
                 </LineChart>
             </div>
 
+            {inverseTree && (
+                <div className="space-y-2">
+                    <h3 className="font-semibold">
+                        Predecessors of {inverseTree.root} ({inverseTree.map}), {inverseTree.nodes} nodes
+                        {inverseTree.truncated && ' (truncated)'}
+                    </h3>
+                    <ul className="font-mono text-sm">
+                        <InverseTreeNode node={inverseTree.tree} />
+                    </ul>
+                </div>
+            )}
+
             <div className="mt-4 text-sm text-gray-600">
                 <p>The graph shows execution time comparison between memoized (blue) and non-memoized (red) implementations.</p>
                 <p>Lower values indicate better performance.</p>
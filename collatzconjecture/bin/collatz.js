@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+const { run } = require("../src/cli");
+
+// A reader that stops early (collatz export ... | head) closes the pipe;
+// that ends the output, not the command with an error
+process.stdout.on("error", (error) => {
+  if (error.code === "EPIPE") process.exit(0);
+  throw error;
+});
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -1,49 +1,137 @@
+const fs = require("fs");
 const {
   CollatzCalculator,
 } = require("../collatzconjecture/src/core/CollatzCalculator");
 const {
   PerformanceAnalyzer,
 } = require("../collatzconjecture/src/performance/PerformanceAnalyzer");
+const { WorkerPool } = require("../collatzconjecture/src/parallel/WorkerPool");
+const {
+  CycleCatalog,
+} = require("../collatzconjecture/src/analysis/CycleCatalog");
+const {
+  RecordTracker,
+} = require("../collatzconjecture/src/analysis/RecordTracker");
+const {
+  ProgressTracker,
+} = require("../collatzconjecture/src/analysis/ProgressTracker");
+const {
+  ConvergenceVerifier,
+} = require("../collatzconjecture/src/analysis/ConvergenceVerifier");
+const {
+  InverseTree,
+} = require("../collatzconjecture/src/analysis/InverseTree");
+const {
+  BaselineStore,
+} = require("../collatzconjecture/src/performance/BaselineStore");
+const {
+  CheckpointStore,
+} = require("../collatzconjecture/src/io/CheckpointStore");
+const {
+  ResultExporter,
+} = require("../collatzconjecture/src/io/ResultExporter");
+const { add, parseInteger } = require("../collatzconjecture/src/core/Numeric");
+const {
+  CollatzError,
+  describeFailure,
+} = require("../collatzconjecture/src/core/Errors");
 
-// Enable garbage collection if running with --expose-gc
-if (global.gc) {
-  console.log("Garbage collection enabled");
+// The failure row of the number that stopped a run under the "abort"
+// policy, whether the run was single-threaded (a CollatzError) or on a
+// WorkerPool (an error carrying the batch's failures); null otherwise
+function abortedFailure(error) {
+  if (error instanceof CollatzError) return describeFailure(error, "aborted");
+  return (
+    (error.failures || []).find((failure) => failure.action === "aborted") ||
+    null
+  );
 }
 
 class CollatzAnalyzer {
   constructor(options = {}) {
     this.calculator = new CollatzCalculator({
       cacheSize: options.cacheSize || 80000,
+      cachePolicy: options.cachePolicy || "lru",
+      memo: options.memo,
+      denseBound: options.denseBound,
+      denseWidth: options.denseWidth,
+      memoSnapshot: options.memoSnapshot,
       memoryThreshold: options.memoryThreshold || 500,
+      hardMemoryThreshold: options.hardMemoryThreshold,
+      memoryLimit: options.memoryLimit,
       batchSize: options.batchSize || 40000,
       memoryCheckFrequency: 1000,
+      arbitraryPrecision: options.arbitraryPrecision || false,
+      mode: options.mode || "sequence",
+      map: options.map,
+      termination: options.termination,
+      allowNegative: options.allowNegative || false,
+      maxSteps: options.maxSteps,
+      failurePolicy: options.failurePolicy,
+      sieveBits: options.sieveBits,
+      jumpBits: options.jumpBits,
+      sequenceFormat: options.sequenceFormat,
+      descentLimit: options.descentLimit,
     });
 
     this.analyzer = new PerformanceAnalyzer({
       sampleSize: options.sampleSize || 3,
       warmupRuns: options.warmupRuns || 1,
+      silent: options.silent,
     });
+
+    this.workers = options.workers || 1;
+    // silent: true keeps stdout free for machine-readable output
+    this.log = options.silent ? () => {} : console.log;
+    // For reports of commands whose output is on stdout
+    this.warn = options.silent ? () => {} : console.error;
   }
 
-  async analyze(start, end) {
-    console.log("\nStarting Collatz Sequence Analysis");
-    console.log("=================================");
-    console.log(`Range: ${start} to ${end}`);
-    console.log(`Cache Size: ${this.calculator.cache.maxSize} entries`);
-    console.log(`Batch Size: ${this.calculator.batchSize}`);
-    console.log(
+  // options.signal stops the benchmark cleanly and reports the batches done
+  // so far; options.onProgress receives a progress event per batch
+  async analyze(start, end, options = {}) {
+    this.log("\nStarting Collatz Sequence Analysis");
+    this.log("=================================");
+    this.log(`Range: ${start} to ${end}`);
+    this.log(`Cache Size: ${this.calculator.cache.maxSize} entries`);
+    this.log(`Cache Policy: ${this.calculator.cachePolicy}`);
+    this.log(
+      this.calculator.memo === "dense"
+        ? `Memo: dense below ${this.calculator.cache.bound} (${this.calculator.cache.width}-bit)`
+        : "Memo: cache"
+    );
+    this.log(`Mode: ${this.calculator.mode}`);
+    this.log(`Map: ${this.calculator.map.name}`);
+    this.log(`Batch Size: ${this.calculator.batchSize}`);
+    this.log(
       `Memory Threshold: ${
         this.calculator.memoryManager.warningThreshold / 1024 / 1024
       }MB`
     );
-    console.log("=================================\n");
+    this.log(
+      `Hard Memory Threshold: ${
+        this.calculator.memoryManager.hardThreshold / 1024 / 1024
+      }MB`
+    );
+    this.log(`Failure Policy: ${this.calculator.failurePolicy}`);
+    this.log(`Workers: ${this.workers}`);
+    this.log("=================================\n");
 
     try {
       const report = await this.analyzer.compareImplementations(
         this.calculator,
         start,
-        end
+        end,
+        options
       );
+      if (this.workers > 1 && !report.analysisInfo.aborted) {
+        report.parallel = await this.analyzer.measureParallelSpeedup(
+          this.calculator.config,
+          start,
+          end,
+          [this.workers]
+        );
+      }
       this.displayResults(report);
       return report;
     } catch (error) {
@@ -53,107 +141,830 @@ class CollatzAnalyzer {
   }
 
   displayResults(report) {
-    console.log("\nAnalysis Results:");
-    console.log("=================");
-    console.log(
+    this.log("\nAnalysis Results:");
+    this.log("=================");
+    this.log(
       `Processed range: ${report.analysisInfo.processedRange.start} to ${report.analysisInfo.processedRange.end}`
     );
-    console.log(`Total numbers processed: ${report.analysisInfo.totalNumbers}`);
-    console.log(`Number of batches: ${report.analysisInfo.numberOfBatches}`);
-    console.log(`Samples per batch: ${report.analysisInfo.samplesPerBatch}`);
-
-    console.log("\nWith Cache:");
-    console.log(`Average Time: ${report.withCache.averageTime.toFixed(3)}ms`);
-    console.log(`Cache Hit Rate: ${report.withCache.cacheHitRate.toFixed(2)}%`);
-    console.log(
-      `Average Memory: ${report.withCache.averageMemory.toFixed(2)}MB`
+    if (report.analysisInfo.aborted) {
+      this.log(
+        `Aborted: partial results, ${report.analysisInfo.requestedRange.end} was requested`
+      );
+    }
+    this.log(`Total numbers processed: ${report.analysisInfo.totalNumbers}`);
+    this.log(`Number of batches: ${report.analysisInfo.numberOfBatches}`);
+    this.log(
+      `Samples per batch: ${report.analysisInfo.averageSamplesPerBatch.toFixed(
+        1
+      )} on average (min ${report.analysisInfo.samplesPerBatch}, max ${
+        report.analysisInfo.maxSamplesPerBatch
+      })`
     );
-    console.log(`Peak Memory: ${report.withCache.peakMemory.toFixed(2)}MB`);
 
-    console.log("\nMemory Efficiency (With Cache):");
-    console.log(
+    this.log("\nWith Cache:");
+    this.log(`Average Time: ${report.withCache.averageTime.toFixed(3)}ms`);
+    this.displayTimeStatistics(report.withCache);
+    this.log(`Cache Hit Rate: ${report.withCache.cacheHitRate.toFixed(2)}%`);
+    this.displayCacheStatistics(report.withCache.cacheStatistics);
+    this.log(`Average Memory: ${report.withCache.averageMemory.toFixed(2)}MB`);
+    this.log(`Peak Memory: ${report.withCache.peakMemory.toFixed(2)}MB`);
+    this.displayRuntime(report.withCache.runtime);
+
+    this.log("\nMemory Efficiency (With Cache):");
+    this.log(
       `Median Memory Usage: ${report.memoryEfficiency.withCache.median.toFixed(
         2
       )}MB`
     );
-    console.log(
-      `Memory Stability: ${report.memoryEfficiency.withCache.stability.toFixed(
-        2
-      )}%`
+    this.log(
+      `Memory Variability (CV): ${(
+        report.memoryEfficiency.withCache.coefficientOfVariation * 100
+      ).toFixed(2)}%`
     );
-    console.log(
+    this.log(
       `Standard Deviation: ${report.memoryEfficiency.withCache.standardDeviation.toFixed(
         2
       )}MB`
     );
 
-    console.log("\nWithout Cache:");
-    console.log(
-      `Average Time: ${report.withoutCache.averageTime.toFixed(3)}ms`
-    );
-    console.log(
+    this.log("\nWithout Cache:");
+    this.log(`Average Time: ${report.withoutCache.averageTime.toFixed(3)}ms`);
+    this.displayTimeStatistics(report.withoutCache);
+    this.log(
       `Average Memory: ${report.withoutCache.averageMemory.toFixed(2)}MB`
     );
-    console.log(`Peak Memory: ${report.withoutCache.peakMemory.toFixed(2)}MB`);
+    this.log(`Peak Memory: ${report.withoutCache.peakMemory.toFixed(2)}MB`);
+    this.displayRuntime(report.withoutCache.runtime);
 
-    console.log("\nMemory Efficiency (Without Cache):");
-    console.log(
+    this.log("\nMemory Efficiency (Without Cache):");
+    this.log(
       `Median Memory Usage: ${report.memoryEfficiency.withoutCache.median.toFixed(
         2
       )}MB`
     );
-    console.log(
-      `Memory Stability: ${report.memoryEfficiency.withoutCache.stability.toFixed(
-        2
-      )}%`
+    this.log(
+      `Memory Variability (CV): ${(
+        report.memoryEfficiency.withoutCache.coefficientOfVariation * 100
+      ).toFixed(2)}%`
     );
-    console.log(
+    this.log(
       `Standard Deviation: ${report.memoryEfficiency.withoutCache.standardDeviation.toFixed(
         2
       )}MB`
     );
 
-    console.log("\nImprovements:");
-    console.log(
+    if (report.memoryPressure) {
+      const pressure = report.memoryPressure;
+      this.log("\nMemory Pressure:");
+      this.log(
+        `Events: ${pressure.softEvents} soft, ${pressure.hardEvents} hard, ${pressure.regrowths} cache regrowth(s)`
+      );
+      this.log(
+        `Cache Limit: ${pressure.finalCacheLimit} of ${pressure.configuredCacheSize} entries (lowest ${pressure.minimumCacheLimit})`
+      );
+    }
+
+    this.log("\nImprovements:");
+    this.log(
       `Speed Improvement: ${report.improvements.speedup.toFixed(2)}x faster`
     );
-    console.log(
+    const { significance } = report.improvements;
+    if (significance.speedupInterval) {
+      this.log(
+        `Speedup ${(significance.speedupInterval.confidence * 100).toFixed(
+          0
+        )}% CI: [${significance.speedupInterval.lower.toFixed(
+          2
+        )}, ${significance.speedupInterval.upper.toFixed(2)}]x`
+      );
+    }
+    this.log(
+      `Significance (${significance.test}): p=${significance.pValue.toFixed(
+        4
+      )}, ${significance.significant ? "significant" : "not significant"}`
+    );
+    this.log(
       `Memory Reduction: ${report.improvements.memoryReduction.toFixed(2)}MB`
     );
+
+    this.displayFailures(report.failures);
+
+    if (report.parallel) {
+      this.log("\nParallel Scan:");
+      report.parallel.runs.forEach((run) => {
+        this.log(
+          `${run.workers} worker(s): ${run.executionTime.toFixed(
+            2
+          )}ms, ${run.speedup.toFixed(2)}x speedup, ${run.efficiency.toFixed(
+            1
+          )}% efficiency`
+        );
+      });
+    }
   }
-}
 
-// CLI interface
-async function main() {
-  try {
-    const args = process.argv.slice(2);
-    const options = {
-      start: parseInt(args[0]) || 1,
-      end: parseInt(args[1]) || 1000000,
-      cacheSize: parseInt(args[2]) || 80000,
-      batchSize: parseInt(args[3]) || 40000,
-      memoryThreshold: parseInt(args[4]) || 400,
-      sampleSize: parseInt(args[5]) || 3,
-      warmupRuns: parseInt(args[6]) || 1,
+  async saveBaseline(report, filePath) {
+    const baseline = await new BaselineStore().save(report, filePath);
+    this.log(`\nBaseline saved to ${filePath}`);
+    return baseline;
+  }
+
+  async compareWithBaseline(report, filePath) {
+    const baseline = await new BaselineStore().load(filePath);
+    const comparison = this.analyzer.compareWithBaseline(baseline, report);
+    this.displayBaselineComparison(comparison);
+    return comparison;
+  }
+
+  displayBaselineComparison(comparison) {
+    this.log(
+      `\nComparison with baseline "${comparison.baseline.label}" (${comparison.baseline.createdAt}):`
+    );
+    this.log("=================================");
+    if (!comparison.comparable) {
+      this.log(
+        "Warning: baseline covers different batches; using Welch's t-test"
+      );
+    }
+    comparison.environmentDifferences.forEach((difference) => {
+      this.log(
+        `Warning: ${difference.key} differs (baseline ${difference.baseline}, now ${difference.current})`
+      );
+    });
+    comparison.metrics.forEach((metric) => {
+      const verdict = metric.regression
+        ? "REGRESSION"
+        : metric.improvement
+        ? "improved"
+        : metric.significant
+        ? "changed"
+        : "no significant change";
+      this.log(
+        `${metric.name}: ${metric.baseline.toFixed(
+          3
+        )} -> ${metric.current.toFixed(3)} (${(
+          metric.relativeChange * 100
+        ).toFixed(1)}%, p=${metric.pValue.toFixed(4)}) ${verdict}`
+      );
+    });
+    this.log(
+      comparison.regressions.length > 0
+        ? `Regressions: ${comparison.regressions.join(", ")}`
+        : "No regressions detected"
+    );
+  }
+
+  // One number in the calculator's mode; stepsOnly turns sequence mode into
+  // steps mode and changes nothing in the others, which keep no trajectory
+  sequence(n, stepsOnly = false) {
+    const { mode } = this.calculator;
+    const result =
+      stepsOnly && mode === "sequence"
+        ? this.calculator.calculateSteps(n)
+        : this.calculator.calculate(n);
+    this.log(`\nCollatz trajectory of ${n} (${this.calculator.map.name})`);
+    this.log("=================================");
+    if (mode === "verify") {
+      this.log(
+        result.sieved
+          ? `Sieved: its class mod 2^${this.calculator.sieve.bits} provably descends`
+          : `Descended: ${result.descended ? "yes" : "no"} after ${
+              result.steps
+            } steps, peak ${result.peak}`
+      );
+      return { number: n, ...result };
+    }
+    this.log(`Steps: ${result.steps}`);
+    // Jump mode skips the values in between, so it knows neither
+    if (mode !== "jump") {
+      this.log(`Peak: ${result.peak}`);
+      if (result.stoppingTime !== undefined) {
+        this.log(`Stopping time: ${result.stoppingTime}`);
+      }
+    }
+    this.log(`Termination: ${result.termination}`);
+    if (result.cycle) {
+      this.log(
+        `Cycle: [${result.cycle.members.join(", ")}] entered at step ${
+          result.cycle.entryStep
+        }`
+      );
+    }
+    if (result.sequence) this.log(`Sequence: ${result.sequence.join(" -> ")}`);
+    if (result.parityVector) {
+      this.log(
+        `Parity vector: ${result.parityVector} (${
+          result.parityVector.length
+        } shortcut steps, ${result.parityVector.oddSteps()} odd)`
+      );
+    }
+    return { number: n, ...result };
+  }
+
+  residueClass(parityVector) {
+    const { residue, modulus } = this.calculator.residueClassOf(parityVector);
+    this.log(
+      `\nParity vector ${parityVector} (${this.calculator.map.name}): n = ${residue} mod ${modulus}`
+    );
+    return { parityVector, residue, modulus };
+  }
+
+  mergePoint(numbers) {
+    const merge = this.calculator.mergeSet(numbers);
+    this.log(
+      `\nMerge point of ${numbers.join(", ")} (${this.calculator.map.name})`
+    );
+    this.log("=================================");
+    if (merge.value === null) {
+      this.log("None: the trajectories end in different places");
+    } else {
+      this.log(`Value: ${merge.value}`);
+      numbers.forEach((n, i) => {
+        this.log(`${n}: ${merge.steps[i]} steps`);
+      });
+    }
+    return { numbers, ...merge };
+  }
+
+  async compareCachePolicies(start, end, policies) {
+    const report = await this.analyzer.benchmarkCachePolicies(
+      this.calculator.config,
+      start,
+      end,
+      policies
+    );
+    this.log("\nCache Policy Comparison:");
+    this.log("========================");
+    report.policies.forEach((result) => {
+      this.log(
+        `${result.policy.padEnd(8)} ${result.totalTime.toFixed(
+          2
+        )}ms (${result.relativeTime.toFixed(
+          2
+        )}x), hit rate ${result.cacheHitRate.toFixed(
+          2
+        )}%, peak memory ${result.peakMemory.toFixed(2)}MB`
+      );
+      this.displayCacheStatistics(result.cacheStatistics);
+    });
+    this.log(`Fastest: ${report.fastest}`);
+    return report;
+  }
+
+  // Plugs a strategy into the benchmark registry; see StrategyRegistry.js
+  registerStrategy(name, strategy) {
+    this.analyzer.strategies.register(name, strategy);
+    return this;
+  }
+
+  async compareStrategies(start, end, names, options = {}) {
+    const report = await this.analyzer.compareStrategies(
+      this.calculator.config,
+      start,
+      end,
+      names,
+      options
+    );
+    this.displayStrategyComparison(report);
+    return report;
+  }
+
+  displayStrategyComparison(report) {
+    this.log("\nStrategy Comparison:");
+    this.log("====================");
+    this.log(
+      `Processed range: ${report.analysisInfo.processedRange.start} to ${report.analysisInfo.processedRange.end} in ${report.analysisInfo.numberOfBatches} batch(es)`
+    );
+    if (report.analysisInfo.aborted) {
+      this.log(
+        `Aborted: partial results, ${report.analysisInfo.requestedRange.end} was requested`
+      );
+    }
+    report.strategies.forEach((strategy) => {
+      this.log(`\n${strategy.name}: ${strategy.description || ""}`);
+      this.log(
+        `Total Time: ${strategy.totalTime.toFixed(
+          2
+        )}ms (${strategy.relativeTime.toFixed(2)}x the fastest)`
+      );
+      this.displayTimeStatistics(strategy);
+      this.log(`Cache Hit Rate: ${strategy.cacheHitRate.toFixed(2)}%`);
+      if (strategy.cacheStatistics) {
+        this.displayCacheStatistics(strategy.cacheStatistics);
+      }
+      this.log(
+        `Memory: ${strategy.averageMemory.toFixed(
+          2
+        )}MB average, ${strategy.peakMemory.toFixed(2)}MB peak`
+      );
+      this.displayRuntime(strategy.runtime);
+      const significance = strategy.versusFastest;
+      if (significance) {
+        this.log(
+          `Versus ${report.fastest} (${
+            significance.test
+          }): p=${significance.pValue.toFixed(4)}, ${
+            significance.significant ? "significant" : "not significant"
+          }`
+        );
+      }
+    });
+    this.displayFailures(report.failures);
+    this.log(`\nFastest: ${report.fastest}`);
+  }
+
+  // Reports keep every failure; the console shows the first `limit`
+  displayFailures(failures, limit = 20, log = this.log) {
+    if (failures.length === 0) return;
+    log(`\nFailed Numbers: ${failures.length}`);
+    failures.slice(0, limit).forEach((failure) => {
+      log(
+        `${failure.number}: ${failure.code} (${failure.action}) ${failure.message}`
+      );
+    });
+    if (failures.length > limit) {
+      log(`... and ${failures.length - limit} more in the report`);
+    }
+  }
+
+  // Single pass over the range that aggregates metrics and records, writing a
+  // checkpoint after every completed batch. With `resume` it picks up after
+  // the last batch recorded in the checkpoint instead of starting over.
+  // Aborting options.signal ends the scan after the last checkpointed batch
+  // with the aggregates so far, and so does a number failing under the
+  // "abort" failure policy; options.onProgress gets an event per batch.
+  // Numbers that failed are checkpointed and listed in the summary. With a
+  // memo snapshot configured the memo is saved back to it at the end.
+  async scan(start, end, options = {}) {
+    const store = new CheckpointStore(options.checkpointPath);
+    const calculator = new CollatzCalculator({
+      ...this.calculator.config,
+      mode: "steps",
+    });
+    let metrics = {
+      numbersProcessed: 0,
+      totalSteps: 0,
+      maxSteps: 0,
+      maxStepsNumber: null,
+      cacheHits: 0,
+      elapsedMs: 0,
+    };
+    if (calculator.snapshotEntries > 0) {
+      const { snapshotEntries, snapshotRetained } = calculator;
+      this.log(
+        snapshotRetained < snapshotEntries
+          ? `Loaded ${snapshotRetained} of ${snapshotEntries} memo entries from ${calculator.memoSnapshotPath}; the cache holds ${calculator.cache.maxSize}`
+          : `Loaded ${snapshotEntries} memo entries from ${calculator.memoSnapshotPath}`
+      );
+    }
+    let tracker = new RecordTracker();
+    let failures = [];
+    let lastCompletedBatch = null;
+
+    if (options.resume) {
+      const checkpoint = await store.load();
+      if (checkpoint) {
+        if (
+          parseInteger(checkpoint.range.start) !== start ||
+          parseInteger(checkpoint.range.end) !== end
+        ) {
+          throw new Error(
+            `Checkpoint ${store.filePath} covers ${checkpoint.range.start}-${checkpoint.range.end}, not ${start}-${end}`
+          );
+        }
+        metrics = {
+          ...checkpoint.metrics,
+          maxStepsNumber: parseInteger(checkpoint.metrics.maxStepsNumber),
+        };
+        tracker = RecordTracker.fromJSON(checkpoint.records);
+        failures = (checkpoint.failures || []).map((failure) => ({
+          ...failure,
+          number: parseInteger(failure.number),
+        }));
+        lastCompletedBatch = checkpoint.lastCompletedBatch;
+        this.log(
+          `Resuming after batch ${lastCompletedBatch.start}-${lastCompletedBatch.end}`
+        );
+      }
+    }
+
+    const resumeFrom = lastCompletedBatch
+      ? add(parseInteger(lastCompletedBatch.end), 1)
+      : start;
+    let batchIndex = lastCompletedBatch ? lastCompletedBatch.index + 1 : 0;
+    const progress = new ProgressTracker(resumeFrom, end, tracker);
+    let aborted = false;
+
+    let batchStart = performance.now();
+    try {
+      await this.forEachBatch(
+        calculator,
+        resumeFrom,
+        end,
+        async (batch) => {
+          this.foldScanBatch(batch, { metrics, progress, failures });
+          metrics.elapsedMs += performance.now() - batchStart;
+
+          lastCompletedBatch = {
+            index: batchIndex++,
+            start: batch.start,
+            end: batch.end,
+          };
+          await store.save({
+            range: { start, end },
+            lastCompletedBatch,
+            metrics,
+            records: tracker.toJSON(),
+            failures,
+          });
+          this.log(
+            `Checkpointed batch ${batch.start}-${batch.end} (${metrics.numbersProcessed} numbers)`
+          );
+          if (options.onProgress) {
+            options.onProgress(progress.batchDone(batch));
+          }
+          batchStart = performance.now();
+        },
+        { signal: options.signal }
+      );
+    } catch (error) {
+      const failure = abortedFailure(error);
+      if (!(failure || (options.signal && options.signal.aborted))) {
+        throw error;
+      }
+      aborted = true;
+      if (failure) {
+        failures.push(failure);
+        this.log(`${failure.error} at ${failure.number}: ${failure.message}`);
+      }
+      this.log("Aborted; run with --resume to continue from the checkpoint");
+    }
+
+    const summary = {
+      range: { start, end },
+      aborted,
+      metrics,
+      records: tracker.records,
+      failures,
+      memoSnapshot: calculator.memoSnapshotPath
+        ? await calculator.saveMemoSnapshot(calculator.memoSnapshotPath, {
+            overwrite: options.overwriteSnapshot,
+          })
+        : null,
     };
+    this.displayScanSummary(summary);
+    return summary;
+  }
+
+  // Hands onBatch every batch of the range in order as { start, end,
+  // results, failures }, waiting for it before the next one. With more than
+  // one worker the batches run on a WorkerPool, each worker with its own
+  // copy of the calculator's cache, and otherwise on `calculator` itself.
+  // Rejects with the signal's reason once options.signal aborts, and when a
+  // failure under the "abort" policy stops the run (see abortedFailure).
+  async forEachBatch(calculator, start, end, onBatch, options = {}) {
+    const { signal } = options;
+    if (this.workers <= 1) {
+      for (const batch of calculator.generateRange(start, end)) {
+        const failures = [];
+        const results = await calculator.processBatch(
+          batch.start,
+          batch.end,
+          true,
+          { signal, onFailure: (failure) => failures.push(failure) }
+        );
+        await onBatch({ ...batch, results, failures });
+      }
+      return;
+    }
+
+    const pool = new WorkerPool({
+      workerCount: this.workers,
+      calculatorConfig: calculator.config,
+      retainResults: false,
+    });
+    try {
+      await pool.processRange(start, end, true, onBatch, { signal });
+    } finally {
+      await pool.terminate();
+    }
+  }
+
+  // Folds one completed batch of a scan into the running metrics, records
+  // and failures
+  foldScanBatch(batch, { metrics, progress, failures }) {
+    batch.results.forEach((result) => {
+      metrics.numbersProcessed++;
+      metrics.totalSteps += result.steps;
+      if (result.steps > metrics.maxSteps) {
+        metrics.maxSteps = result.steps;
+        metrics.maxStepsNumber = result.number;
+      }
+      if (result.cacheHit) metrics.cacheHits++;
+      progress.observe(result);
+    });
+    failures.push(...batch.failures);
+  }
+
+  displayScanSummary(summary) {
+    const { metrics } = summary;
+    this.log("\nScan Results:");
+    this.log("=============");
+    this.log(`Numbers processed: ${metrics.numbersProcessed}`);
+    // Nothing is processed when the first number aborts or all are skipped
+    if (metrics.numbersProcessed === 0) {
+      this.log("Average steps: n/a");
+      this.log("Max steps: n/a");
+    } else {
+      this.log(
+        `Average steps: ${(
+          metrics.totalSteps / metrics.numbersProcessed
+        ).toFixed(2)}`
+      );
+      this.log(
+        `Max steps: ${metrics.maxSteps} (n = ${metrics.maxStepsNumber})`
+      );
+    }
+    this.log(`Elapsed: ${(metrics.elapsedMs / 1000).toFixed(2)}s`);
+    this.log(`Records found: ${summary.records.length}`);
+    this.displayFailures(summary.failures);
+    const { memoSnapshot } = summary;
+    if (memoSnapshot && memoSnapshot.kept !== undefined) {
+      this.log(
+        `Memo snapshot: kept the ${memoSnapshot.kept} entries in ${memoSnapshot.filePath} over the ${memoSnapshot.entries} in memory; pass --overwrite-snapshot to replace them`
+      );
+    } else if (memoSnapshot) {
+      this.log(
+        `Memo snapshot: ${memoSnapshot.entries} entries saved to ${memoSnapshot.filePath}`
+      );
+    }
+    if (summary.aborted) this.log("Scan aborted before the end of the range");
+  }
+
+  // Shows that every number in the range falls below itself, skipping the
+  // residue classes the sieve rules out; see ConvergenceVerifier
+  async verify(start, end, options = {}) {
+    const verifier = new ConvergenceVerifier(
+      new CollatzCalculator({ ...this.calculator.config, mode: "verify" })
+    );
+    const report = await verifier.verify(start, end, options);
+    this.displayVerification(report);
+    return report;
+  }
 
-    console.log("Configuration:");
-    console.log("==============");
-    Object.entries(options).forEach(([key, value]) => {
-      console.log(`${key}: ${value}`);
+  displayVerification(report) {
+    this.log("\nVerification Results:");
+    this.log("=====================");
+    this.log(
+      report.verifiedRange
+        ? `Verified: ${report.verifiedRange.start} to ${report.verifiedRange.end} all reach 1`
+        : "Verified: nothing"
+    );
+    if (report.assumption) this.log(`Assuming ${report.assumption}`);
+    this.log(
+      `Sieve: 2^${report.sieve.bits}, ${
+        report.sieve.survivors
+      } surviving classes (${(report.sieve.survivorFraction * 100).toFixed(
+        2
+      )}%)`
+    );
+    this.log(
+      `Numbers: ${report.numbersSieved} sieved, ${report.numbersChecked} followed for ${report.stepsWalked} steps`
+    );
+    if (report.longestDescent) {
+      this.log(
+        `Longest descent: ${report.longestDescent.steps} steps (n = ${report.longestDescent.number})`
+      );
+    }
+    this.log(
+      `Throughput: ${report.numbersPerSecond.toFixed(0)} numbers/s over ${(
+        report.elapsedMs / 1000
+      ).toFixed(2)}s`
+    );
+    this.log(`Counterexample candidates: ${report.candidates.length}`);
+    report.candidates.forEach((candidate) => {
+      this.log(`${candidate.number}: ${candidate.reason}`);
     });
+    this.displayFailures(report.failures);
+    if (report.aborted)
+      this.log("Verification aborted before the end of the range");
+  }
+
+  // Streams one row per number to the exporter without keeping results;
+  // numbers that failed have no row and are returned as failures instead,
+  // and are listed on stderr when the rows go to stdout. With more than one
+  // worker, rows arrive a batch at a time. A number failing under the
+  // "abort" policy ends the export with `aborted` set.
+  async exportResults(start, end, exporterOptions = {}) {
+    const exporter = new ResultExporter(exporterOptions).open();
+    const failures = [];
+    let aborted = false;
+    try {
+      if (this.workers > 1) {
+        await this.forEachBatch(this.calculator, start, end, async (batch) => {
+          for (const row of batch.results) {
+            const pending = exporter.write(row);
+            if (pending) await pending;
+          }
+          failures.push(...batch.failures);
+        });
+      } else {
+        for (const batch of this.calculator.generateRange(start, end)) {
+          await this.calculator.processBatch(batch.start, batch.end, true, {
+            onResult: (row) => exporter.write(row),
+            onFailure: (failure) => failures.push(failure),
+            collect: false,
+          });
+        }
+      }
+    } catch (error) {
+      const failure = abortedFailure(error);
+      if (!failure) throw error;
+      aborted = true;
+      // A single-threaded run has reported it through onFailure already
+      if (!failures.some((f) => f.action === "aborted")) failures.push(failure);
+    } finally {
+      await exporter.close();
+    }
 
-    const analyzer = new CollatzAnalyzer(options);
-    await analyzer.analyze(options.start, options.end);
-  } catch (error) {
-    console.error("Fatal error:", error);
-    process.exit(1);
+    const summary = { rowsWritten: exporter.rowsWritten, failures, aborted };
+    const log = exporter.ownsStream ? this.log : this.warn;
+    this.displayFailures(failures, 20, log);
+    if (aborted) log("Export aborted before the end of the range");
+    return summary;
+  }
+
+  // Streams delay, stopping-time and path records as they are found
+  async findRecords(start, end, onRecord = (r) => this.displayRecord(r)) {
+    const calculator = new CollatzCalculator({
+      ...this.calculator.config,
+      mode: "steps",
+    });
+    const tracker = new RecordTracker();
+
+    this.log(`\nSearching for records from ${start} to ${end}`);
+    this.log("=================================");
+
+    const records = [];
+    await this.forEachBatch(calculator, start, end, (batch) => {
+      for (const result of batch.results) {
+        for (const record of tracker.observe(result)) {
+          records.push(record);
+          onRecord(record);
+        }
+      }
+    });
+    return records;
+  }
+
+  // Scans the range in steps mode and lists every distinct cycle entered
+  async catalogCycles(start, end) {
+    const calculator = new CollatzCalculator({
+      ...this.calculator.config,
+      mode: "steps",
+    });
+    const catalog = new CycleCatalog();
+
+    for (const batch of calculator.generateRange(start, end)) {
+      const results = await calculator.processBatch(batch.start, batch.end);
+      results.forEach((result) => {
+        const entry = catalog.observe(result);
+        if (entry) {
+          this.log(
+            `New cycle of length ${entry.length} (min ${entry.minimum}) first reached from ${entry.firstSeenFrom}`
+          );
+        }
+      });
+    }
+
+    this.log(`\nDistinct cycles found: ${catalog.size()}`);
+    catalog.list().forEach((entry) => {
+      this.log(
+        `[${entry.members.join(", ")}] reached by ${entry.count} number(s)`
+      );
+    });
+    return catalog;
+  }
+
+  // Grows the predecessor tree of `root` under the calculator's map and
+  // writes it as DOT, JSON adjacency lists or a nested tree; output "-"
+  // means stdout, in which case nothing else is printed
+  async inverseTree(root, options = {}) {
+    const { format = "dot", output = "-", ...bounds } = options;
+    const tree = new InverseTree(root, {
+      ...bounds,
+      map: this.calculator.map,
+      allowNegative: this.calculator.allowNegative,
+      arbitraryPrecision: this.calculator.arbitraryPrecision,
+    });
+    const text = tree.serialize(format);
+    if (output === "-") {
+      process.stdout.write(text);
+    } else {
+      await fs.promises.writeFile(output, text);
+      this.log(
+        `\nPredecessor tree of ${root} (${tree.map.name}) written to ${output}`
+      );
+      this.log("=================================");
+      this.log(`Nodes: ${tree.size()}, depth ${tree.depth}`);
+      if (tree.truncated) {
+        this.log(
+          "Truncated: node limit reached or values beyond 2^53 left out"
+        );
+      }
+    }
+    return { ...tree.summary(), format, output };
+  }
+
+  displayTimeStatistics(variant) {
+    const stats = variant.timeStatistics;
+    const interval = stats.confidenceInterval;
+    this.log(
+      `Batch Time: mean ${stats.mean.toFixed(2)}ms (${(
+        interval.confidence * 100
+      ).toFixed(0)}% CI [${interval.lower.toFixed(2)}, ${interval.upper.toFixed(
+        2
+      )}] ms), p50 ${stats.p50.toFixed(2)}ms, p95 ${stats.p95.toFixed(
+        2
+      )}ms, p99 ${stats.p99.toFixed(2)}ms`
+    );
+    this.log(
+      `Samples: ${variant.samplesTaken} taken, ${variant.outliersRejected} outliers rejected`
+    );
+  }
+
+  displayCacheStatistics(stats) {
+    this.log(
+      `Cache Lookups: ${stats.fullHits} full hits (${stats.fullHitRate.toFixed(
+        2
+      )}%), ${
+        stats.intermediateHits
+      } intermediate (${stats.intermediateHitRate.toFixed(
+        2
+      )}%, ${stats.averageStepsSaved.toFixed(1)} steps saved each), ${
+        stats.misses
+      } misses`
+    );
+    this.log(
+      `Cache Churn: ${stats.insertions} insertions, ${
+        stats.evictions
+      } evictions (${stats.evictionRate.toFixed(2)}%), ${
+        stats.pressureEvictions
+      } forced by memory pressure, ${
+        stats.clears
+      } clears, ${stats.utilization.toFixed(2)}% utilization`
+    );
+    if (stats.denseEntries > 0) {
+      this.log(`Dense Memo Table: ${stats.denseEntries} entries`);
+    }
+  }
+
+  displayRuntime(runtime) {
+    const { memory, cpu, eventLoopDelay, gc } = runtime;
+    this.log(
+      `Sampled Peaks: heap ${memory.peakHeapMB.toFixed(
+        2
+      )}MB, RSS ${memory.peakRssMB.toFixed(
+        2
+      )}MB, external ${memory.peakExternalMB.toFixed(2)}MB`
+    );
+    this.log(
+      `CPU Time: ${cpu.userMs.toFixed(2)}ms user, ${cpu.systemMs.toFixed(
+        2
+      )}ms system`
+    );
+    this.log(
+      eventLoopDelay.count === 0
+        ? "Event Loop Delay: insufficient samples"
+        : `Event Loop Delay: mean ${eventLoopDelay.meanMs.toFixed(
+            2
+          )}ms, p99 ${eventLoopDelay.p99Ms.toFixed(
+            2
+          )}ms, max ${eventLoopDelay.maxMs.toFixed(2)}ms`
+    );
+    this.log(
+      `GC: ${gc.count} pause(s), ${gc.totalPauseMs.toFixed(
+        2
+      )}ms total, ${gc.maxPauseMs.toFixed(2)}ms longest (${
+        gc.byKind.minor ? gc.byKind.minor.count : 0
+      } minor, ${gc.byKind.major ? gc.byKind.major.count : 0} major)`
+    );
+  }
+
+  displayRecord(record) {
+    this.log(
+      `[${record.foundAt.elapsedMs}ms] ${record.type} record: ${record.number} -> ${record.value}`
+    );
   }
 }
 
+module.exports = { CollatzAnalyzer };
+
 // Run if called directly
 if (require.main === module) {
-  main().catch(console.error);
+  require("./src/cli")
+    .run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    });
 }
-
-module.exports = { CollatzAnalyzer };
@@ -19,6 +19,74 @@ class MemoizationCache {
   clear() {
     MemoizationCache.instance.clear();
   }
+
+  /**
+   * Save the step counts of 1..bound held by the singleton as a steps-only
+   * memo snapshot for the standard map; CollatzCalculator recomputes the
+   * peaks and stopping times when it loads one
+   * @param {string} filePath - Snapshot file
+   * @param {number} bound - Largest number to include
+   * @returns {Promise<number>} Number of entries saved
+   */
+  static async saveSnapshot(filePath, bound = 1000000) {
+    const { MemoSnapshotStore } = require("./src/io/MemoSnapshotStore");
+    const { CollatzMap } = require("./src/core/CollatzMap");
+    const memo = MemoizationCache.getInstance();
+    let end = 0;
+    for (const key of memo.keys()) {
+      if (key <= bound && key > end) end = key;
+    }
+    if (end === 0) return 0;
+
+    const steps = new Uint32Array(end);
+    let saved = 0;
+    for (const [key, value] of memo) {
+      if (key <= end) {
+        steps[key - 1] = value + 1; // 0 marks a missing entry
+        saved++;
+      }
+    }
+    await new MemoSnapshotStore(filePath).save({
+      start: 1,
+      end,
+      map: CollatzMap.from().toJSON(),
+      width: 32,
+      steps,
+    });
+    return saved;
+  }
+
+  /**
+   * Load a memo snapshot into the singleton. Missing files load nothing;
+   * corrupt files and snapshots of another map are rejected.
+   * @param {string} filePath - Snapshot file
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  static async loadSnapshot(filePath) {
+    const {
+      MemoSnapshotStore,
+      MemoSnapshotError,
+      snapshotKey,
+    } = require("./src/io/MemoSnapshotStore");
+    const { CollatzMap } = require("./src/core/CollatzMap");
+    const snapshot = await new MemoSnapshotStore(filePath).load();
+    if (!snapshot) return 0;
+    if (!CollatzMap.from(snapshot.map).isStandard) {
+      throw new MemoSnapshotError(
+        `Rejected memo snapshot ${filePath}: it was built for map ${snapshot.map.name}, not 3x+1`
+      );
+    }
+
+    const memo = MemoizationCache.getInstance();
+    let loaded = 0;
+    snapshot.steps.forEach((value, i) => {
+      if (value !== 0) {
+        memo.set(snapshotKey(snapshot, i), value - 1);
+        loaded++;
+      }
+    });
+    return loaded;
+  }
 }
 
 /**
@@ -123,40 +191,43 @@ function measurePerformance(fn, ...args) {
 }
 
 /**
- * Compare performance between memoized and non-memoized implementations
+ * Fold one measured result into running statistics
+ * @param {Object} stats - Statistics accumulated so far
+ * @param {Object} result - Measured result for a single number
+ */
+function accumulateStats(stats, result) {
+  stats.totalTime += result.executionTime;
+  stats.totalMemory += result.memoryUsed;
+  if (result.steps > stats.maxSteps) {
+    stats.maxSteps = result.steps;
+    stats.longestSequence = {
+      number: result.number,
+      steps: result.steps,
+    };
+  }
+  if (result.cacheHit) {
+    stats.cacheHits = (stats.cacheHits || 0) + 1;
+  }
+}
+
+/**
+ * Compare performance between memoized and non-memoized implementations.
+ * Statistics are accumulated as the range is scanned, so memory use stays
+ * flat however large the range is; per-number rows are only kept when
+ * `keepDetails` is set, or streamed to `onResult` (e.g. a ResultExporter).
  * @param {number} start - Start of range
  * @param {number} end - End of range
+ * @param {Object} [options]
+ * @param {boolean} [options.keepDetails=false] - Keep per-number results
+ * @param {Function} [options.onResult] - Called with (memoized, nonMemoized)
  * @returns {Object} Comparison results
  */
-function compareCollatzImplementations(start, end) {
+function compareCollatzImplementations(start, end, options = {}) {
+  const { keepDetails = false, onResult } = options;
   const memo = MemoizationCache.getInstance();
   memo.clear(); // Start fresh
 
-  const memoizedResults = [];
-  const nonMemoizedResults = [];
-
-  // Run both implementations
-  for (let i = start; i <= end; i++) {
-    const memoizedResult = measurePerformance(
-      calculateCollatzMemoized,
-      i,
-      memo
-    );
-    const nonMemoizedResult = measurePerformance(
-      calculateCollatzNonMemoized,
-      i
-    );
-
-    memoizedResults.push({
-      number: i,
-      ...memoizedResult,
-    });
-
-    nonMemoizedResults.push({
-      number: i,
-      ...nonMemoizedResult,
-    });
-  }
+  const details = keepDetails ? { memoized: [], nonMemoized: [] } : undefined;
 
   // Calculate comprehensive statistics
   const stats = {
@@ -175,34 +246,26 @@ function compareCollatzImplementations(start, end) {
     },
   };
 
-  // Process memoized results
-  memoizedResults.forEach((result) => {
-    stats.memoized.totalTime += result.executionTime;
-    stats.memoized.totalMemory += result.memoryUsed;
-    if (result.steps > stats.memoized.maxSteps) {
-      stats.memoized.maxSteps = result.steps;
-      stats.memoized.longestSequence = {
-        number: result.number,
-        steps: result.steps,
-      };
-    }
-    if (result.cacheHit) {
-      stats.memoized.cacheHits++;
-    }
-  });
+  // Run both implementations
+  for (let i = start; i <= end; i++) {
+    const memoizedResult = {
+      number: i,
+      ...measurePerformance(calculateCollatzMemoized, i, memo),
+    };
+    const nonMemoizedResult = {
+      number: i,
+      ...measurePerformance(calculateCollatzNonMemoized, i),
+    };
 
-  // Process non-memoized results
-  nonMemoizedResults.forEach((result) => {
-    stats.nonMemoized.totalTime += result.executionTime;
-    stats.nonMemoized.totalMemory += result.memoryUsed;
-    if (result.steps > stats.nonMemoized.maxSteps) {
-      stats.nonMemoized.maxSteps = result.steps;
-      stats.nonMemoized.longestSequence = {
-        number: result.number,
-        steps: result.steps,
-      };
+    accumulateStats(stats.memoized, memoizedResult);
+    accumulateStats(stats.nonMemoized, nonMemoizedResult);
+
+    if (onResult) onResult(memoizedResult, nonMemoizedResult);
+    if (details) {
+      details.memoized.push(memoizedResult);
+      details.nonMemoized.push(nonMemoizedResult);
     }
-  });
+  }
 
   const count = end - start + 1;
   const comparison = {
@@ -228,61 +291,33 @@ function compareCollatzImplementations(start, end) {
 
   return {
     summary: comparison,
-    details: {
-      memoized: memoizedResults,
-      nonMemoized: nonMemoizedResults,
-    },
+    details,
   };
 }
 
-// Example usage with detailed output
-const range = { start: 1, end: 1000000 };
-const results = compareCollatzImplementations(range.start, range.end);
-
-console.log("\nCollatz Conjecture Performance Comparison");
-console.log("========================================");
-console.log(`Range: ${range.start} to ${range.end}`);
-console.log("\nMemoized Implementation:");
-console.log(`Total Time: ${results.summary.memoized.totalTime.toFixed(2)}ms`);
-console.log(
-  `Average Time per Number: ${results.summary.memoized.averageTime.toFixed(
-    3
-  )}ms`
-);
-console.log(
-  `Cache Hit Rate: ${results.summary.memoized.cacheHitRate.toFixed(1)}%`
-);
-console.log(
-  `Memory Usage: ${results.summary.memoized.totalMemory.toFixed(2)}MB`
-);
-console.log(
-  `Longest Sequence: ${results.summary.memoized.longestSequence.number} (${results.summary.memoized.longestSequence.steps} steps)`
-);
-
-console.log("\nNon-Memoized Implementation:");
-console.log(
-  `Total Time: ${results.summary.nonMemoized.totalTime.toFixed(2)}ms`
-);
-console.log(
-  `Average Time per Number: ${results.summary.nonMemoized.averageTime.toFixed(
-    3
-  )}ms`
-);
-console.log(
-  `Memory Usage: ${results.summary.nonMemoized.totalMemory.toFixed(2)}MB`
-);
-console.log(
-  `Longest Sequence: ${results.summary.nonMemoized.longestSequence.number} (${results.summary.nonMemoized.longestSequence.steps} steps)`
-);
-
-console.log("\nPerformance Improvement:");
-console.log(
-  `Speed Improvement: ${results.summary.improvement.timeSpeedup.toFixed(
-    2
-  )}x faster with memoization`
-);
-console.log(
-  `Memory Overhead: ${results.summary.improvement.memoryOverhead.toFixed(
-    2
-  )}MB additional memory used`
-);
+module.exports = {
+  MemoizationCache,
+  calculateCollatzMemoized,
+  calculateCollatzNonMemoized,
+  measurePerformance,
+  compareCollatzImplementations,
+};
+
+/**
+ * Run the example comparison over 1..1,000,000 and print the N-way report.
+ * The strategies are looked up in the benchmark registry, which loads this
+ * module back, so the exports above have to be in place first.
+ */
+async function main() {
+  const { CollatzAnalyzer } = require("./index");
+  const analyzer = new CollatzAnalyzer();
+  await analyzer.compareStrategies(1, 1000000, ["map-memo", "uncached-loop"]);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,114 @@
+// src/analysis/ConvergenceVerifier.js
+const { CollatzCalculator } = require("../core/CollatzCalculator");
+const { CollatzError, describeFailure } = require("../core/Errors");
+const { subtract, min } = require("../core/Numeric");
+const { ProgressTracker } = require("./ProgressTracker");
+
+// Proves that every n in a range reaches 1 by showing that each falls below
+// itself, which by induction settles the range once everything below it is
+// known to converge (trivially so for ranges starting at 1). Residue
+// classes the calculator's sieve rules out are skipped outright.
+class ConvergenceVerifier {
+  constructor(calculator = new CollatzCalculator({ mode: "verify" })) {
+    if (calculator.mode !== "verify") {
+      throw new Error("ConvergenceVerifier needs a calculator in verify mode");
+    }
+    this.calculator = calculator;
+  }
+
+  // Resolves to a report whose verifiedRange ends just before the first
+  // number that could not be shown to descend: a counterexample candidate
+  // (a trajectory that outlasted descentLimit) or a failure. options.signal
+  // and failing under the "abort" policy end the run after the last
+  // complete batch; options.onProgress gets an event per batch.
+  async verify(start, end, options = {}) {
+    const { signal, onProgress } = options;
+    const { calculator } = this;
+    const progress = new ProgressTracker(start, end);
+    const startedAt = performance.now();
+    const totals = { numbersSieved: 0, numbersChecked: 0, stepsWalked: 0 };
+    const candidates = [];
+    const failures = [];
+    let longestDescent = null;
+    let completedEnd = null;
+    let aborted = false;
+
+    try {
+      for (const batch of calculator.generateRange(start, end)) {
+        const results = await calculator.processBatch(
+          batch.start,
+          batch.end,
+          false,
+          { signal, onFailure: (failure) => failures.push(failure) }
+        );
+        results.forEach((result) => {
+          if (result.sieved) {
+            totals.numbersSieved++;
+            return;
+          }
+          totals.numbersChecked++;
+          totals.stepsWalked += result.steps;
+          if (!result.descended && result.number !== 1) {
+            candidates.push({
+              number: result.number,
+              steps: result.steps,
+              peak: result.peak,
+              reason: `still at or above ${result.number} after ${result.steps} steps`,
+            });
+          } else if (
+            longestDescent === null ||
+            result.steps > longestDescent.steps
+          ) {
+            longestDescent = { number: result.number, steps: result.steps };
+          }
+        });
+        completedEnd = batch.end;
+        if (onProgress) onProgress(progress.batchDone(batch));
+      }
+    } catch (error) {
+      const failed = error instanceof CollatzError;
+      if (!(failed || (signal && signal.aborted)) || completedEnd === null) {
+        throw error;
+      }
+      aborted = true;
+      // recover() has usually reported the failure through onFailure already
+      if (failed && !failures.some((f) => f.action === "aborted")) {
+        failures.push(describeFailure(error, "aborted"));
+      }
+    }
+
+    // A retried number was still followed to its descent
+    const unverified = [
+      ...candidates,
+      ...failures.filter((failure) => failure.action !== "retried"),
+    ];
+    let verifiedEnd = completedEnd;
+    unverified.forEach(({ number }) => {
+      verifiedEnd = min(verifiedEnd, subtract(number, 1));
+    });
+
+    const elapsedMs = performance.now() - startedAt;
+    const numbers = totals.numbersSieved + totals.numbersChecked;
+    return {
+      range: { start, end },
+      verifiedRange: verifiedEnd >= start ? { start, end: verifiedEnd } : null,
+      complete: !aborted && unverified.length === 0,
+      aborted,
+      assumption: start > 1 ? `every n below ${start} reaches 1` : null,
+      sieve: {
+        bits: calculator.sieve.bits,
+        survivors: calculator.sieve.survivors,
+        survivorFraction: calculator.sieve.survivorFraction,
+      },
+      descentLimit: calculator.descentLimit,
+      ...totals,
+      longestDescent,
+      elapsedMs,
+      numbersPerSecond: elapsedMs > 0 ? numbers / (elapsedMs / 1000) : 0,
+      candidates,
+      failures,
+    };
+  }
+}
+
+module.exports = { ConvergenceVerifier };
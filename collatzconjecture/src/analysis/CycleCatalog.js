@@ -0,0 +1,54 @@
+// src/analysis/CycleCatalog.js
+const { toJSONValue } = require("../core/Numeric");
+
+// Collects the distinct cycles that trajectories end in during a scan.
+// Cycles are keyed by their minimum, which CollatzCalculator rotates to the
+// front of every cycle description.
+class CycleCatalog {
+  constructor() {
+    this.cycles = new Map();
+  }
+
+  observe(result) {
+    if (!result.cycle) return null;
+    const key = String(result.cycle.minimum);
+    const known = this.cycles.get(key);
+    if (known) {
+      known.count++;
+      return null;
+    }
+
+    const entry = {
+      members: result.cycle.members,
+      length: result.cycle.length,
+      minimum: result.cycle.minimum,
+      maximum: result.cycle.maximum,
+      firstSeenFrom: result.number,
+      count: 1,
+    };
+    this.cycles.set(key, entry);
+    return entry;
+  }
+
+  list() {
+    return [...this.cycles.values()].sort((a, b) =>
+      a.minimum < b.minimum ? -1 : a.minimum > b.minimum ? 1 : 0
+    );
+  }
+
+  size() {
+    return this.cycles.size;
+  }
+
+  toJSON() {
+    return this.list().map((entry) => ({
+      ...entry,
+      members: entry.members.map(toJSONValue),
+      minimum: toJSONValue(entry.minimum),
+      maximum: toJSONValue(entry.maximum),
+      firstSeenFrom: toJSONValue(entry.firstSeenFrom),
+    }));
+  }
+}
+
+module.exports = { CycleCatalog };
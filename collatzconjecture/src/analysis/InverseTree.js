@@ -0,0 +1,197 @@
+// src/analysis/InverseTree.js
+const { CollatzMap } = require("../core/CollatzMap");
+const {
+  normalize,
+  isBig,
+  subtract,
+  multiply,
+  toJSONValue,
+} = require("../core/Numeric");
+
+const TREE_FORMATS = ["dot", "adjacency", "nested"];
+
+// The predecessor tree of a root under a Collatz-type map, grown breadth
+// first. A branch n -> (multiplier * n + addend) / divisor inverts to
+// n = (divisor * m - addend) / multiplier, which is a predecessor of m when
+// it is an integer in the branch's residue class; for 3x+1 that is 2m
+// always and (m - 1) / 3 when m is 4 mod 6. A predecessor already in the
+// tree closes a cycle (1 -> 4 -> 2 -> 1) and is not added again.
+//
+// Growth stops at maxDepth steps from the root, skips predecessors beyond
+// maxValue in magnitude, and ends early once maxNodes are in the tree.
+// Without arbitraryPrecision predecessors beyond 2^53 are skipped as well.
+// Either early end or skipping past 2^53 sets `truncated`.
+class InverseTree {
+  constructor(root = 1, options = {}) {
+    this.map = CollatzMap.from(options.map);
+    this.root = normalize(root);
+    this.maxDepth = options.maxDepth ?? null;
+    this.maxValue = options.maxValue ?? null;
+    this.maxNodes = options.maxNodes ?? 100000;
+    this.allowNegative = options.allowNegative || false;
+    this.arbitraryPrecision = options.arbitraryPrecision || false;
+
+    if (this.maxDepth === null && this.maxValue === null) {
+      throw new Error("Inverse tree needs a depth or value bound");
+    }
+    if (this.map.branches.some(({ multiplier }) => multiplier === 0)) {
+      throw new Error(`Map ${this.map.name} has a branch that cannot invert`);
+    }
+
+    // String(value) -> { value, depth, parent, children }
+    this.nodes = new Map();
+    this.depth = 0;
+    this.truncated = false;
+    this.grow();
+  }
+
+  grow() {
+    const rootNode = {
+      value: this.root,
+      depth: 0,
+      parent: null,
+      children: [],
+    };
+    this.nodes.set(String(this.root), rootNode);
+    const queue = [rootNode];
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      if (this.maxDepth !== null && node.depth >= this.maxDepth) continue;
+      for (const value of this.predecessors(node.value)) {
+        const key = String(value);
+        if (this.nodes.has(key) || this.exceedsBound(value)) continue;
+        if (this.nodes.size >= this.maxNodes) {
+          this.truncated = true;
+          return;
+        }
+        const child = {
+          value,
+          depth: node.depth + 1,
+          parent: node,
+          children: [],
+        };
+        this.nodes.set(key, child);
+        node.children.push(child);
+        queue.push(child);
+        this.depth = child.depth;
+      }
+    }
+  }
+
+  // Every n the map sends to m, whether or not it is already in the tree
+  predecessors(m) {
+    const found = [];
+    this.map.branches.forEach(({ multiplier, addend, divisor }, residue) => {
+      const numerator = subtract(multiply(divisor, m), addend);
+      let n;
+      if (isBig(numerator)) {
+        const bigMultiplier = BigInt(multiplier);
+        if (numerator % bigMultiplier !== 0n) return;
+        n = normalize(numerator / bigMultiplier);
+      } else {
+        if (numerator % multiplier !== 0) return;
+        n = numerator / multiplier || 0; // never -0
+      }
+      if (this.map.residue(n) !== residue) return;
+      if (n <= 0 && !this.allowNegative) return;
+      found.push(n);
+    });
+    return found;
+  }
+
+  exceedsBound(value) {
+    if (isBig(value) && !this.arbitraryPrecision) {
+      this.truncated = true;
+      return true;
+    }
+    return (
+      this.maxValue !== null &&
+      (value > this.maxValue || -value > this.maxValue)
+    );
+  }
+
+  size() {
+    return this.nodes.size;
+  }
+
+  // Graphviz digraph with edges in the map's direction, n -> T(n), drawn
+  // bottom to top so the root sits at the top
+  toDOT() {
+    const id = (value) => `"${value}"`;
+    const lines = [
+      `digraph ${id(`${this.map.name} predecessors of ${this.root}`)} {`,
+      "  rankdir=BT;",
+      "  node [shape=circle];",
+      `  ${id(this.root)} [shape=doublecircle];`,
+    ];
+    for (const node of this.nodes.values()) {
+      if (node.parent) {
+        lines.push(`  ${id(node.value)} -> ${id(node.parent.value)};`);
+      }
+    }
+    lines.push("}");
+    return `${lines.join("\n")}\n`;
+  }
+
+  // Predecessor lists keyed by value, every node listed, leaves with []
+  toAdjacency() {
+    const adjacency = {};
+    for (const [key, node] of this.nodes) {
+      adjacency[key] = node.children.map((child) => toJSONValue(child.value));
+    }
+    return { ...this.summary(), adjacency };
+  }
+
+  // { value, depth, children } from the root down, the shape
+  // CollatzComparison's tree view renders. Built bottom-up without
+  // recursion, since deep trees are long chains.
+  toNested() {
+    const nested = new Map();
+    const nodes = [...this.nodes.values()];
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      nested.set(node, {
+        value: toJSONValue(node.value),
+        depth: node.depth,
+        children: node.children.map((child) => nested.get(child)),
+      });
+    }
+    return { ...this.summary(), tree: nested.get(nodes[0]) };
+  }
+
+  serialize(format) {
+    switch (format) {
+      case "dot":
+        return this.toDOT();
+      case "adjacency":
+        return `${JSON.stringify(this.toAdjacency())}\n`;
+      case "nested":
+        return `${JSON.stringify(this.toNested())}\n`;
+      default:
+        throw new Error(
+          `Unknown tree format "${format}". Expected one of: ${TREE_FORMATS.join(
+            ", "
+          )}`
+        );
+    }
+  }
+
+  summary() {
+    return {
+      root: toJSONValue(this.root),
+      map: this.map.name,
+      nodes: this.nodes.size,
+      depth: this.depth,
+      maxDepth: this.maxDepth,
+      maxValue: toJSONValue(this.maxValue),
+      truncated: this.truncated,
+    };
+  }
+
+  toJSON() {
+    return this.summary();
+  }
+}
+
+module.exports = { InverseTree, TREE_FORMATS };
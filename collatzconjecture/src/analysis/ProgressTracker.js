@@ -0,0 +1,56 @@
+// src/analysis/ProgressTracker.js
+const { subtract } = require("../core/Numeric");
+const { RecordTracker } = require("./RecordTracker");
+
+// Turns rows and finished batches into structured progress events:
+// { type, batchIndex, batch, numbersDone, totalNumbers, percent, elapsedMs,
+//   numbersPerSecond, etaMs, records }. records holds the current best
+// delay, stopping-time and path record, null for types not seen yet.
+class ProgressTracker {
+  constructor(start, end, records = new RecordTracker()) {
+    this.totalNumbers = Number(subtract(end, start)) + 1;
+    this.numbersDone = 0;
+    this.observedInBatch = 0;
+    this.batchIndex = 0;
+    this.records = records;
+    this.startedAt = performance.now();
+  }
+
+  observe(result) {
+    this.numbersDone++;
+    this.observedInBatch++;
+    return this.records.observe(result);
+  }
+
+  // Callers without rows to observe just report finished batches, which
+  // then count in full
+  batchDone(batch) {
+    if (this.observedInBatch === 0) {
+      this.numbersDone += Number(subtract(batch.end, batch.start)) + 1;
+    }
+    this.observedInBatch = 0;
+    return this.event("batch", batch, this.batchIndex++);
+  }
+
+  event(type, batch = null, batchIndex = this.batchIndex) {
+    const elapsedMs = performance.now() - this.startedAt;
+    const numbersPerSecond =
+      elapsedMs > 0 ? this.numbersDone / (elapsedMs / 1000) : 0;
+    const remaining = this.totalNumbers - this.numbersDone;
+    return {
+      type,
+      batchIndex,
+      batch: batch && { start: batch.start, end: batch.end },
+      numbersDone: this.numbersDone,
+      totalNumbers: this.totalNumbers,
+      percent: (this.numbersDone / this.totalNumbers) * 100,
+      elapsedMs,
+      numbersPerSecond,
+      etaMs:
+        numbersPerSecond > 0 ? (remaining / numbersPerSecond) * 1000 : null,
+      records: { ...this.records.best },
+    };
+  }
+}
+
+module.exports = { ProgressTracker };
@@ -0,0 +1,77 @@
+// src/analysis/RecordTracker.js
+const { parseInteger, toJSONValue } = require("../core/Numeric");
+
+// Record type -> result field it is measured on
+const RECORD_TYPES = {
+  delay: "steps",
+  stoppingTime: "stoppingTime",
+  path: "peak",
+};
+
+// Incrementally tracks delay, stopping-time and path records over a scan.
+// Results must be observed in ascending order of their starting number.
+class RecordTracker {
+  constructor() {
+    this.best = { delay: null, stoppingTime: null, path: null };
+    this.records = [];
+    this.scanned = 0;
+    this.startedAt = Date.now();
+  }
+
+  observe(result) {
+    this.scanned++;
+    const found = [];
+
+    for (const [type, field] of Object.entries(RECORD_TYPES)) {
+      const value = result[field];
+      if (value === undefined || value === null) continue;
+      const best = this.best[type];
+      if (best !== null && !(value > best.value)) continue;
+
+      const record = {
+        type,
+        number: result.number,
+        value,
+        foundAt: {
+          index: this.scanned,
+          elapsedMs: Date.now() - this.startedAt,
+          timestamp: new Date().toISOString(),
+        },
+      };
+      this.best[type] = record;
+      this.records.push(record);
+      found.push(record);
+    }
+
+    return found;
+  }
+
+  // Records are stored in discovery order, so the current best of each type
+  // is simply the last record of that type
+  toJSON() {
+    return {
+      scanned: this.scanned,
+      records: this.records.map((record) => ({
+        ...record,
+        number: toJSONValue(record.number),
+        value: toJSONValue(record.value),
+      })),
+    };
+  }
+
+  static fromJSON(data) {
+    const tracker = new RecordTracker();
+    tracker.scanned = data.scanned;
+    tracker.records = data.records.map((record) => ({
+      ...record,
+      number: parseInteger(record.number),
+      value: parseInteger(record.value),
+    }));
+    for (const record of tracker.records) {
+      tracker.best[record.type] = record;
+    }
+    return tracker;
+  }
+}
+
+module.exports = { RecordTracker, RECORD_TYPES };
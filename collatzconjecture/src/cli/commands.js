@@ -0,0 +1,571 @@
+// src/cli/commands.js
+const { CACHE_POLICIES, MEMO_BACKENDS } = require("../core/Cache");
+const { EXPORT_FORMATS } = require("../io/ResultExporter");
+const { BUILTIN_STRATEGIES } = require("../performance/StrategyRegistry");
+const { FAILURE_POLICIES } = require("../core/Errors");
+const { TREE_FORMATS } = require("../analysis/InverseTree");
+const { CliError } = require("./parseArgs");
+const { parseInteger } = require("../core/Numeric");
+
+const RANGE = [
+  { name: "start", type: "integer", required: true },
+  { name: "end", type: "integer", required: true },
+];
+
+const CALCULATOR_FLAGS = {
+  "cache-size": {
+    type: "count",
+    default: 80000,
+    description: "Maximum cache entries",
+  },
+  "cache-policy": {
+    type: "choice",
+    choices: Object.keys(CACHE_POLICIES),
+    valueName: Object.keys(CACHE_POLICIES).join("|"),
+    default: "lru",
+    description: "Cache eviction policy",
+  },
+  memo: {
+    type: "choice",
+    choices: MEMO_BACKENDS,
+    valueName: MEMO_BACKENDS.join("|"),
+    default: "cache",
+    description: "Memo backend; dense uses typed arrays below --dense-bound",
+  },
+  "dense-bound": {
+    type: "count",
+    default: 1000000,
+    description: "Numbers below this live in the dense memo table",
+  },
+  "dense-width": {
+    type: "choice",
+    choices: ["16", "32"],
+    valueName: "16|32",
+    default: "32",
+    description: "Bits per step count in the dense memo table",
+  },
+  "memo-snapshot": {
+    type: "string",
+    valueName: "file",
+    description: "Start the memo from this snapshot; scan saves it back",
+  },
+  "batch-size": {
+    type: "count",
+    default: 40000,
+    description: "Numbers per batch",
+  },
+  "memory-threshold": {
+    type: "count",
+    valueName: "MB",
+    default: 500,
+    description: "Heap size at which the cache starts shrinking",
+  },
+  "hard-memory-threshold": {
+    type: "count",
+    valueName: "MB",
+    description: "Heap size at which the cache shrinks twice as fast",
+  },
+  "memory-limit": {
+    type: "count",
+    valueName: "MB",
+    description: "Heap size at which numbers fail instead of computing",
+  },
+  "max-steps": {
+    type: "count",
+    description: "Fail numbers whose trajectory takes more steps",
+  },
+  "on-failure": {
+    type: "choice",
+    choices: FAILURE_POLICIES,
+    valueName: FAILURE_POLICIES.join("|"),
+    default: "skip",
+    description: "Skip and record, retry overflows with BigInt, or abort",
+  },
+  mode: {
+    type: "choice",
+    choices: ["sequence", "steps", "jump"],
+    valueName: "sequence|steps|jump",
+    default: "sequence",
+    description:
+      "Keep whole trajectories, only their metrics, or only step counts",
+  },
+  "sequence-format": {
+    type: "choice",
+    choices: ["numbers", "parity"],
+    valueName: "numbers|parity",
+    default: "numbers",
+    description: "Keep trajectories as numbers or as packed parity vectors",
+  },
+  "jump-bits": {
+    type: "count",
+    default: 12,
+    description: "Shortcut-map steps per table lookup in jump mode",
+  },
+  map: {
+    type: "string",
+    valueName: "name",
+    description: "Collatz-type map, e.g. 3x+1, 5x+1, 3x-1 or qx+r",
+  },
+  termination: {
+    type: "choice",
+    choices: ["one", "cycle"],
+    valueName: "one|cycle",
+    description:
+      "Stop at 1 or on entering any known cycle (default: one for 3x+1, cycle otherwise)",
+  },
+  "divergence-bound": {
+    type: "integer",
+    valueName: "n",
+    description: "Report trajectories as diverged once |n| exceeds this",
+  },
+  bigint: {
+    type: "boolean",
+    description: "Allow values beyond 2^53 using BigInt arithmetic",
+  },
+  "allow-negative": {
+    type: "boolean",
+    description: "Accept zero and negative starting values",
+  },
+  json: { type: "boolean", description: "Print machine-readable JSON" },
+};
+
+const BENCHMARK_FLAGS = {
+  samples: {
+    type: "count",
+    default: 3,
+    description: "Measurements per batch",
+  },
+  warmup: { type: "count", default: 1, description: "Warmup runs" },
+};
+
+const PROGRESS_FLAGS = {
+  progress: {
+    type: "boolean",
+    description: "Print a progress line to stderr after every batch",
+  },
+};
+
+const WORKER_FLAGS = {
+  workers: {
+    type: "count",
+    default: 1,
+    description: "Process batches on this many worker threads",
+  },
+};
+
+function formatProgress(event) {
+  const eta =
+    event.etaMs === null ? "?" : `${(event.etaMs / 1000).toFixed(0)}s`;
+  const records = Object.values(event.records)
+    .filter(Boolean)
+    .map((record) => `${record.type} ${record.number}`)
+    .join(", ");
+  return `[${event.percent.toFixed(1).padStart(5)}%] ${event.numbersDone}/${
+    event.totalNumbers
+  } numbers, ${event.numbersPerSecond.toFixed(0)}/s, ETA ${eta}${
+    records ? `, records: ${records}` : ""
+  }`;
+}
+
+// Signal (from the CLI's Ctrl+C handler) and progress rendering for the
+// long-running commands
+function runOptions(options) {
+  return {
+    signal: options.signal,
+    onProgress: options.progress
+      ? (event) => process.stderr.write(`${formatProgress(event)}\n`)
+      : undefined,
+  };
+}
+
+function validateNumber(value, options, label) {
+  if (typeof value === "bigint" && !options.bigint) {
+    throw new CliError(`${label} is beyond 2^53; pass --bigint to allow it`);
+  }
+  if (value <= 0 && !options.allowNegative) {
+    throw new CliError(
+      `${label} must be positive; pass --allow-negative to allow it`
+    );
+  }
+}
+
+function validateRange(options) {
+  validateNumber(options.start, options, "<start>");
+  validateNumber(options.end, options, "<end>");
+  if (options.start > options.end) {
+    throw new CliError("<start> must not be greater than <end>");
+  }
+}
+
+// The benchmarks count and time numbers as plain Numbers, so even with
+// --bigint their ranges stay below 2^53
+function validateBenchmarkRange(options) {
+  validateRange(options);
+  for (const label of ["start", "end"]) {
+    if (typeof options[label] === "bigint") {
+      throw new CliError(
+        `<${label}> is beyond 2^53, which benchmarks do not support`
+      );
+    }
+  }
+}
+
+// For a command's `failed`: whether a number failing under the "abort"
+// policy stopped the run, which exits with 1 after the report
+function stoppedByFailure(summary) {
+  return summary.failures.some((failure) => failure.action === "aborted");
+}
+
+const COMMANDS = {
+  sequence: {
+    description: "Compute the trajectory of a single number.",
+    positionals: [{ name: "n", type: "integer", required: true }],
+    flags: {
+      ...CALCULATOR_FLAGS,
+      "steps-only": {
+        type: "boolean",
+        description: "Report metrics without the trajectory",
+      },
+    },
+    run(analyzer, options) {
+      validateNumber(options.n, options, "<n>");
+      return analyzer.sequence(options.n, options.stepsOnly);
+    },
+  },
+
+  merge: {
+    description:
+      "Find where the trajectories of two or more numbers join, and after how many steps.",
+    positionals: [{ name: "numbers", type: "list", required: true }],
+    flags: CALCULATOR_FLAGS,
+    run(analyzer, options) {
+      const numbers = options.numbers.map((raw) => {
+        const value = parseInteger(raw);
+        if (value === null) {
+          throw new CliError(`<numbers> must be integers, got "${raw}"`);
+        }
+        validateNumber(value, options, "<numbers>");
+        return value;
+      });
+      if (numbers.length < 2) {
+        throw new CliError("<numbers> needs at least two numbers");
+      }
+      return analyzer.mergePoint(numbers);
+    },
+  },
+
+  residue: {
+    description:
+      "Find the residue class mod 2^k of the numbers whose first k shortcut steps follow a parity vector.",
+    positionals: [{ name: "parity-vector", type: "string", required: true }],
+    flags: CALCULATOR_FLAGS,
+    run(analyzer, options) {
+      if (!/^[01]+$/.test(options.parityVector)) {
+        throw new CliError("<parity-vector> must be a string of 0s and 1s");
+      }
+      return analyzer.residueClass(options.parityVector);
+    },
+  },
+
+  scan: {
+    description:
+      "Scan a range, aggregating metrics and records with checkpoints after every batch.",
+    positionals: RANGE,
+    flags: {
+      ...CALCULATOR_FLAGS,
+      ...PROGRESS_FLAGS,
+      ...WORKER_FLAGS,
+      checkpoint: {
+        type: "string",
+        valueName: "file",
+        default: "collatz-scan.checkpoint.json",
+        description: "Checkpoint file",
+      },
+      resume: {
+        type: "boolean",
+        description: "Continue from the checkpoint file",
+      },
+      "overwrite-snapshot": {
+        type: "boolean",
+        description:
+          "Save the memo snapshot even when it holds fewer entries than the file",
+      },
+    },
+    run(analyzer, options) {
+      validateRange(options);
+      if (options.memoSnapshot && options.workers > 1) {
+        // Each worker fills its own memo, so nothing reaches the snapshot
+        throw new CliError("--memo-snapshot cannot be saved with --workers");
+      }
+      return analyzer.scan(options.start, options.end, {
+        ...runOptions(options),
+        checkpointPath: options.checkpoint,
+        resume: options.resume,
+        overwriteSnapshot: options.overwriteSnapshot,
+      });
+    },
+    failed: stoppedByFailure,
+  },
+
+  verify: {
+    description:
+      "Prove every number in a range reaches 1 by showing each one falls below itself.",
+    positionals: RANGE,
+    flags: {
+      ...CALCULATOR_FLAGS,
+      ...PROGRESS_FLAGS,
+      "sieve-bits": {
+        type: "count",
+        default: 16,
+        description: "Skip residue classes mod 2^bits that provably descend",
+      },
+      "descent-limit": {
+        type: "count",
+        default: 100000,
+        description: "Steps after which a number is a counterexample candidate",
+      },
+    },
+    run(analyzer, options) {
+      validateRange(options);
+      if (options.map) {
+        throw new CliError("verify only supports the 3x+1 map");
+      }
+      return analyzer.verify(options.start, options.end, runOptions(options));
+    },
+  },
+
+  records: {
+    description:
+      "Stream every delay, stopping-time and path record found in a range.",
+    positionals: RANGE,
+    flags: { ...CALCULATOR_FLAGS, ...WORKER_FLAGS },
+    run(analyzer, options) {
+      validateRange(options);
+      return analyzer.findRecords(options.start, options.end);
+    },
+  },
+
+  cycles: {
+    description: "List the distinct cycles trajectories in a range end in.",
+    positionals: RANGE,
+    flags: CALCULATOR_FLAGS,
+    run(analyzer, options) {
+      validateRange(options);
+      return analyzer.catalogCycles(options.start, options.end);
+    },
+  },
+
+  tree: {
+    description:
+      "Generate the predecessor tree of a root and write it as DOT or JSON.",
+    positionals: [{ name: "root", type: "integer" }],
+    flags: {
+      ...CALCULATOR_FLAGS,
+      depth: {
+        type: "count",
+        description: "Steps from the root to grow the tree",
+      },
+      "max-value": {
+        type: "integer",
+        description: "Leave out predecessors beyond this value",
+      },
+      "max-nodes": {
+        type: "count",
+        default: 100000,
+        description: "Stop growing once the tree has this many nodes",
+      },
+      format: {
+        type: "choice",
+        choices: TREE_FORMATS,
+        valueName: TREE_FORMATS.join("|"),
+        default: "dot",
+        description: "Graphviz DOT, adjacency lists or a nested tree",
+      },
+      output: {
+        type: "string",
+        valueName: "file",
+        default: "-",
+        description: "Output file, - for stdout",
+      },
+    },
+    run(analyzer, options) {
+      const root = options.root ?? 1;
+      validateNumber(root, options, "<root>");
+      if (options.depth === undefined && options.maxValue === undefined) {
+        throw new CliError("tree needs --depth, --max-value or both");
+      }
+      if (options.json && options.output === "-") {
+        throw new CliError("--json needs --output, the tree goes to stdout");
+      }
+      return analyzer.inverseTree(root, {
+        maxDepth: options.depth,
+        maxValue: options.maxValue,
+        maxNodes: options.maxNodes,
+        format: options.format,
+        output: options.output,
+      });
+    },
+  },
+
+  export: {
+    description: "Stream one row per number to a file or stdout.",
+    positionals: RANGE,
+    flags: {
+      ...CALCULATOR_FLAGS,
+      ...WORKER_FLAGS,
+      format: {
+        type: "choice",
+        choices: EXPORT_FORMATS,
+        valueName: EXPORT_FORMATS.join("|"),
+        default: "ndjson",
+        description: "Output format",
+      },
+      columns: {
+        type: "list",
+        valueName: "a,b,...",
+        description: "Columns to write",
+      },
+      output: {
+        type: "string",
+        valueName: "file",
+        default: "-",
+        description: "Output file, - for stdout",
+      },
+    },
+    run(analyzer, options) {
+      validateRange(options);
+      if (options.json && options.output === "-") {
+        throw new CliError("--json needs --output, the rows go to stdout");
+      }
+      return analyzer.exportResults(options.start, options.end, {
+        format: options.format,
+        columns: options.columns,
+        output: options.output,
+      });
+    },
+    failed: stoppedByFailure,
+  },
+
+  benchmark: {
+    description:
+      "Measure cached against uncached calculation over a range, optionally with a parallel scan.",
+    positionals: RANGE,
+    flags: {
+      ...CALCULATOR_FLAGS,
+      ...BENCHMARK_FLAGS,
+      ...PROGRESS_FLAGS,
+      workers: {
+        type: "count",
+        default: 1,
+        description: "Also time a parallel scan with this many workers",
+      },
+      "save-baseline": {
+        type: "string",
+        valueName: "file",
+        description: "Save the report as a JSON baseline",
+      },
+      baseline: {
+        type: "string",
+        valueName: "file",
+        description: "Compare the report against a saved baseline",
+      },
+      "fail-on-regression": {
+        type: "boolean",
+        description: "Exit with an error when --baseline finds a regression",
+      },
+    },
+    async run(analyzer, options) {
+      validateBenchmarkRange(options);
+      if (options.failOnRegression && !options.baseline) {
+        throw new CliError("--fail-on-regression needs --baseline");
+      }
+      const report = await analyzer.analyze(
+        options.start,
+        options.end,
+        runOptions(options)
+      );
+      if (options.baseline) {
+        report.baselineComparison = await analyzer.compareWithBaseline(
+          report,
+          options.baseline
+        );
+      }
+      // A partial report would make a misleading baseline
+      if (options.saveBaseline && !report.analysisInfo.aborted) {
+        await analyzer.saveBaseline(report, options.saveBaseline);
+      }
+      if (options.failOnRegression) {
+        const { regressions } = report.baselineComparison;
+        if (regressions.length > 0) {
+          throw new Error(
+            `${
+              regressions.length
+            } regression(s) against baseline: ${regressions.join(", ")}`
+          );
+        }
+      }
+      return report;
+    },
+  },
+
+  compare: {
+    description: "Benchmark cache eviction policies against each other.",
+    positionals: RANGE,
+    flags: {
+      ...CALCULATOR_FLAGS,
+      ...BENCHMARK_FLAGS,
+      policies: {
+        type: "list",
+        valueName: "a,b,...",
+        default: Object.keys(CACHE_POLICIES),
+        description: "Policies to compare",
+      },
+    },
+    run(analyzer, options) {
+      validateBenchmarkRange(options);
+      const unknown = options.policies.filter((p) => !CACHE_POLICIES[p]);
+      if (unknown.length > 0) {
+        throw new CliError(`Unknown cache policy: ${unknown.join(", ")}`);
+      }
+      return analyzer.compareCachePolicies(
+        options.start,
+        options.end,
+        options.policies
+      );
+    },
+  },
+
+  strategies: {
+    description:
+      "Benchmark calculation strategies over the same batches in one report.",
+    positionals: RANGE,
+    flags: {
+      ...CALCULATOR_FLAGS,
+      ...BENCHMARK_FLAGS,
+      ...PROGRESS_FLAGS,
+      strategies: {
+        type: "list",
+        valueName: "a,b,...",
+        default: Object.keys(BUILTIN_STRATEGIES),
+        description: `Strategies to compare: ${Object.keys(
+          BUILTIN_STRATEGIES
+        ).join(", ")}`,
+      },
+    },
+    run(analyzer, options) {
+      validateBenchmarkRange(options);
+      const unknown = options.strategies.filter((s) => !BUILTIN_STRATEGIES[s]);
+      if (unknown.length > 0) {
+        throw new CliError(`Unknown strategy: ${unknown.join(", ")}`);
+      }
+      return analyzer.compareStrategies(
+        options.start,
+        options.end,
+        options.strategies,
+        runOptions(options)
+      );
+    },
+  },
+};
+
+module.exports = { COMMANDS };
@@ -0,0 +1,116 @@
+// src/cli/index.js
+const { COMMANDS } = require("./commands");
+const { parseArgs, formatHelp, CliError } = require("./parseArgs");
+const { toJSONValue } = require("../core/Numeric");
+
+function formatOverview() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return [
+    "Usage: collatz <command> [options]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(
+      ([name, command]) => `  ${name.padEnd(width + 2)}${command.description}`
+    ),
+    "",
+    'Run "collatz <command> --help" for the options of a command.',
+  ].join("\n");
+}
+
+function createAnalyzer(options) {
+  // Required lazily: index.js itself hands over to this module
+  const { CollatzAnalyzer } = require("../../index");
+  return new CollatzAnalyzer({
+    cacheSize: options.cacheSize,
+    cachePolicy: options.cachePolicy,
+    memo: options.memo,
+    denseBound: options.denseBound,
+    denseWidth: Number(options.denseWidth),
+    memoSnapshot: options.memoSnapshot,
+    sieveBits: options.sieveBits,
+    jumpBits: options.jumpBits,
+    sequenceFormat: options.sequenceFormat,
+    descentLimit: options.descentLimit,
+    batchSize: options.batchSize,
+    memoryThreshold: options.memoryThreshold,
+    hardMemoryThreshold: options.hardMemoryThreshold,
+    memoryLimit: options.memoryLimit,
+    maxSteps: options.maxSteps,
+    failurePolicy: options.onFailure,
+    mode: options.mode,
+    map: options.map,
+    termination: {
+      mode: options.termination,
+      divergenceBound: options.divergenceBound ?? null,
+    },
+    arbitraryPrecision: options.bigint,
+    allowNegative: options.allowNegative,
+    sampleSize: options.samples,
+    warmupRuns: options.warmup,
+    workers: options.workers,
+    silent: options.json,
+  });
+}
+
+// Ctrl+C aborts the command's signal so long runs stop cleanly with partial
+// results; a second Ctrl+C falls through to Node's default and exits
+async function runInterruptible(command, options) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  process.once("SIGINT", abort);
+  try {
+    return await command.run(createAnalyzer(options), {
+      ...options,
+      signal: controller.signal,
+    });
+  } finally {
+    process.off("SIGINT", abort);
+  }
+}
+
+// Resolves to the process exit code: 0 on success, 1 when the command
+// failed (threw, or its `failed` says so of the result) and 2 for usage
+// errors
+async function run(argv, output = process.stdout) {
+  const [commandName, ...rest] = argv;
+  const print = (text) => output.write(`${text}\n`);
+
+  if (!commandName || commandName === "-h" || commandName === "--help") {
+    print(formatOverview());
+    return commandName ? 0 : 2;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command "${commandName}"\n`);
+    console.error(formatOverview());
+    return 2;
+  }
+
+  let options;
+  try {
+    options = parseArgs(rest, command);
+    if (options.help) {
+      print(formatHelp(commandName, command));
+      return 0;
+    }
+    if (global.gc && !options.json) console.log("Garbage collection enabled");
+    const result = await runInterruptible(command, options);
+    if (options.json) {
+      print(
+        JSON.stringify(result, (key, value) => toJSONValue(value), 2) ?? "null"
+      );
+    }
+    return command.failed && command.failed(result) ? 1 : 0;
+  } catch (error) {
+    if (error instanceof CliError) {
+      console.error(`Error: ${error.message}`);
+      console.error(`Run "collatz ${commandName} --help" for usage.`);
+      return 2;
+    }
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = { run };
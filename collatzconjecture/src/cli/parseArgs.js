@@ -0,0 +1,165 @@
+// src/cli/parseArgs.js
+const { parseInteger } = require("../core/Numeric");
+
+// Usage mistakes; the CLI prints these without a stack trace
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function convert(raw, definition, label) {
+  switch (definition.type) {
+    case "integer": {
+      const value = parseInteger(raw);
+      if (value === null) {
+        throw new CliError(`${label} must be an integer, got "${raw}"`);
+      }
+      return value;
+    }
+    case "count": {
+      const value = Number(raw);
+      if (!Number.isSafeInteger(value) || value < 1) {
+        throw new CliError(`${label} must be a positive integer, got "${raw}"`);
+      }
+      return value;
+    }
+    case "choice":
+      if (!definition.choices.includes(raw)) {
+        throw new CliError(
+          `${label} must be one of ${definition.choices.join(
+            ", "
+          )}, got "${raw}"`
+        );
+      }
+      return raw;
+    case "list":
+      return raw
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+// spec: { positionals: [{ name, type, required }], flags: { "flag-name":
+// { type, default, description, choices } } }. Returns camelCased values
+// plus `help` when -h/--help was given.
+function parseArgs(argv, spec) {
+  const flags = spec.flags || {};
+  const values = { help: false };
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === "-h" || arg === "--help") {
+      values.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf("=");
+    let name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+    let raw = equals === -1 ? undefined : arg.slice(equals + 1);
+    let definition = flags[name];
+
+    if (!definition && name.startsWith("no-")) {
+      const negated = flags[name.slice(3)];
+      if (negated && negated.type === "boolean" && raw === undefined) {
+        values[toCamelCase(name.slice(3))] = false;
+        continue;
+      }
+    }
+    if (!definition) throw new CliError(`Unknown option --${name}`);
+
+    if (definition.type === "boolean") {
+      if (raw !== undefined && raw !== "true" && raw !== "false") {
+        throw new CliError(`--${name} takes no value`);
+      }
+      values[toCamelCase(name)] = raw !== "false";
+      continue;
+    }
+    if (raw === undefined) {
+      raw = argv[++i];
+      if (raw === undefined) throw new CliError(`--${name} needs a value`);
+    }
+    values[toCamelCase(name)] = convert(raw, definition, `--${name}`);
+  }
+
+  for (const [name, definition] of Object.entries(flags)) {
+    const key = toCamelCase(name);
+    if (values[key] === undefined && definition.default !== undefined) {
+      values[key] = definition.default;
+    }
+  }
+
+  if (values.help) return values;
+
+  const expected = spec.positionals || [];
+  if (positionals.length > expected.length) {
+    throw new CliError(`Unexpected argument "${positionals[expected.length]}"`);
+  }
+  expected.forEach((definition, i) => {
+    if (positionals[i] === undefined) {
+      if (definition.required) {
+        throw new CliError(`Missing required argument <${definition.name}>`);
+      }
+      return;
+    }
+    values[toCamelCase(definition.name)] = convert(
+      positionals[i],
+      definition,
+      `<${definition.name}>`
+    );
+  });
+
+  return values;
+}
+
+function formatHelp(commandName, spec) {
+  const usage = [
+    `collatz ${commandName}`,
+    ...(spec.positionals || []).map((p) =>
+      p.required ? `<${p.name}>` : `[${p.name}]`
+    ),
+    "[options]",
+  ].join(" ");
+  const lines = [`Usage: ${usage}`, "", spec.description, ""];
+
+  const flagEntries = Object.entries(spec.flags || {});
+  if (flagEntries.length > 0) {
+    lines.push("Options:");
+    const labels = flagEntries.map(([name, definition]) =>
+      definition.type === "boolean"
+        ? `--${name}`
+        : `--${name} <${definition.valueName || definition.type}>`
+    );
+    const width = Math.max(...labels.map((label) => label.length), 10) + 2;
+    flagEntries.forEach(([, definition], i) => {
+      const suffix =
+        definition.default !== undefined && definition.type !== "boolean"
+          ? ` (default: ${definition.default})`
+          : "";
+      lines.push(
+        `  ${labels[i].padEnd(width)}${definition.description}${suffix}`
+      );
+    });
+    lines.push(`  ${"-h, --help".padEnd(width)}Show this help`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { parseArgs, formatHelp, CliError };
@@ -1,45 +1,54 @@
 // src/core/Cache.js
-class LRUCache {
-  constructor(maxSize = 10000) {
-    this.maxSize = maxSize;
-    this.cache = new Map();
-    this.usage = new Map(); // Track usage frequency
-  }
-
-  get(key) {
-    if (!this.cache.has(key)) return undefined;
-    this.updateUsage(key);
-    return this.cache.get(key);
-  }
-
-  set(key, value) {
-    if (this.cache.size >= this.maxSize) {
-      this.evictLeastUsed();
-    }
-    this.cache.set(key, value);
-    this.updateUsage(key);
-  }
+const { LRUCache } = require("./cache/LRUCache");
+const { LFUCache } = require("./cache/LFUCache");
+const { ClockCache } = require("./cache/ClockCache");
+const { RandomCache } = require("./cache/RandomCache");
+const { DenseCache } = require("./cache/DenseCache");
 
-  updateUsage(key) {
-    this.usage.set(key, (this.usage.get(key) || 0) + 1);
-  }
+const CACHE_POLICIES = {
+  lru: LRUCache,
+  lfu: LFUCache,
+  clock: ClockCache,
+  random: RandomCache,
+};
 
-  evictLeastUsed() {
-    let leastUsedKey = Array.from(this.usage.entries()).sort(
-      (a, b) => a[1] - b[1]
-    )[0][0];
-    this.cache.delete(leastUsedKey);
-    this.usage.delete(leastUsedKey);
-  }
+// "cache" memoizes through the eviction policy alone; "dense" puts a
+// DenseCache table for 1..denseBound-1 in front of it
+const MEMO_BACKENDS = ["cache", "dense"];
 
-  clear() {
-    this.cache.clear();
-    this.usage.clear();
+function createCache(policy = "lru", maxSize = 10000) {
+  const CacheClass = CACHE_POLICIES[policy];
+  if (!CacheClass) {
+    throw new Error(
+      `Unknown cache policy "${policy}". Expected one of: ${Object.keys(
+        CACHE_POLICIES
+      ).join(", ")}`
+    );
   }
+  return new CacheClass(maxSize);
+}
 
-  size() {
-    return this.cache.size;
+function createMemo(backend, policy, maxSize, dense = {}) {
+  const cache = createCache(policy, maxSize);
+  if (backend === "cache") return cache;
+  if (backend === "dense") {
+    return new DenseCache(dense.bound || 1000000, cache, dense.width);
   }
+  throw new Error(
+    `Unknown memo backend "${backend}". Expected one of: ${MEMO_BACKENDS.join(
+      ", "
+    )}`
+  );
 }
 
-module.exports = { LRUCache };
+module.exports = {
+  CACHE_POLICIES,
+  MEMO_BACKENDS,
+  createCache,
+  createMemo,
+  LRUCache,
+  LFUCache,
+  ClockCache,
+  RandomCache,
+  DenseCache,
+};
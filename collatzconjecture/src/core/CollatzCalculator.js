@@ -1,104 +1,1108 @@
 // src/core/CollatzCalculator.js
-const { LRUCache } = require("./Cache");
+const { createMemo } = require("./Cache");
 const { MemoryManager } = require("./MemoryManager");
+const { CollatzMap } = require("./CollatzMap");
+const { ResidueSieve } = require("./ResidueSieve");
+const { JumpTable } = require("./JumpTable");
+const { ParityVector } = require("./ParityVector");
+const { fitsDenseEntry, STEP_ARRAYS } = require("./cache/DenseCache");
+const { ProgressTracker } = require("../analysis/ProgressTracker");
+const {
+  MemoSnapshotStore,
+  MemoSnapshotError,
+  snapshotKey,
+} = require("../io/MemoSnapshotStore");
+const {
+  CollatzError,
+  InvalidInputError,
+  OverflowError,
+  StepLimitError,
+  MemoryExhaustedError,
+  FAILURE_POLICIES,
+  toCollatzError,
+  describeFailure,
+} = require("./Errors");
+const { normalize, parseInteger, isBig, add, min, max } = require("./Numeric");
 
 class CollatzCalculator {
   constructor(config = {}) {
-    this.cache = new LRUCache(config.cacheSize || 40000);
-    this.memoryManager = new MemoryManager(config.memoryThreshold || 350);
+    this.config = { ...config }; // Kept so worker threads can rebuild the calculator
+    this.cachePolicy = config.cachePolicy || "lru";
+    // The cache shrinks under memory pressure and grows back to this size
+    this.cacheCapacity = config.cacheSize || 40000;
+    // memo: "dense" serves 1..denseBound-1 from typed arrays (denseWidth 16
+    // or 32 bits per step count) and only falls back to the policy cache
+    // above that; it pays off for steps-mode scans of contiguous ranges
+    this.memo = config.memo || "cache";
+    this.cache = createMemo(this.memo, this.cachePolicy, this.cacheCapacity, {
+      bound: config.denseBound,
+      width: config.denseWidth,
+    });
+    this.cacheShrinkFraction = config.cacheShrinkFraction || 0.25;
+    this.cacheGrowFraction = config.cacheGrowFraction || 0.1;
+    this.minCacheSize =
+      config.minCacheSize || Math.ceil(this.cacheCapacity / 20);
+    // Past memoryLimit (MB) numbers fail with MemoryExhaustedError instead
+    // of taking the process down
+    this.memoryManager = new MemoryManager(
+      config.memoryThreshold || 350,
+      config.hardMemoryThreshold,
+      config.memoryLimit
+    );
+    this.memoryManager.on("pressure", (event) => this.shrinkCache(event.level));
+    this.memoryManager.on("available", () => this.growCache());
+    this.resetCacheStatistics();
     this.batchSize = config.batchSize || 20000;
     this.memoryCheckFrequency = config.memoryCheckFrequency || 1000; // Check memory every 1000 iterations
+    // Accept BigInt/decimal-string inputs and promote to BigInt on overflow
+    this.arbitraryPrecision = config.arbitraryPrecision || false;
+    // "sequence" keeps full trajectories, "steps" only keeps their metrics,
+    // "jump" only counts their steps, k at a time, and "verify" only follows
+    // them until they fall below their start
+    this.mode = config.mode || "sequence";
+    if (!["sequence", "steps", "jump", "verify"].includes(this.mode)) {
+      throw new Error(`Unknown calculation mode "${this.mode}"`);
+    }
+    // Lets negative starting values (and 0) through, e.g. for cycle hunting
+    this.allowNegative = config.allowNegative || false;
+    // Trajectories longer than this fail with StepLimitError, e.g. under a
+    // map whose orbits diverge
+    this.maxSteps = config.maxSteps || Number.MAX_SAFE_INTEGER;
+    this.failurePolicy = config.failurePolicy || "skip";
+    if (!FAILURE_POLICIES.includes(this.failurePolicy)) {
+      throw new Error(`Unknown failure policy "${this.failurePolicy}"`);
+    }
+    this.map = CollatzMap.from(config.map);
+    this.config.map = this.map.toJSON();
+    // calculateSequence returns the trajectory as a number array
+    // ("numbers") or as a packed ParityVector ("parity")
+    this.sequenceFormat = config.sequenceFormat || "numbers";
+    if (!["numbers", "parity"].includes(this.sequenceFormat)) {
+      throw new Error(`Unknown sequence format "${this.sequenceFormat}"`);
+    }
+    if (this.sequenceFormat === "parity") this.parityBranch();
+    this.configureTermination(config.termination || {});
+    this.mapCalculators = new Map();
+    if (this.mode === "jump") {
+      if (!this.map.isStandard || this.terminationMode !== "one") {
+        throw new Error("Jump mode needs the 3x+1 map running to 1");
+      }
+      this.jumpTable = new JumpTable(config.jumpBits || 12);
+    }
+    if (this.mode === "verify") {
+      if (!this.map.isStandard) {
+        throw new Error("Verify mode needs the 3x+1 map");
+      }
+      this.sieve = new ResidueSieve(config.sieveBits || 16);
+      // Trajectories still above their start after this many steps are
+      // reported as counterexample candidates
+      this.descentLimit = config.descentLimit || 100000;
+    }
+    // The memo starts from this snapshot file when it exists; see
+    // saveMemoSnapshot. snapshotEntries counts the entries the file held,
+    // snapshotRetained those still in a cache too small for all of them.
+    this.memoSnapshotPath = config.memoSnapshot || null;
+    this.snapshotEntries = 0;
+    this.snapshotRetained = 0;
+    if (this.memoSnapshotPath) {
+      const store = new MemoSnapshotStore(this.memoSnapshotPath);
+      const snapshot = store.loadSync();
+      if (snapshot) {
+        const { entries, retained } = this.restoreMemoSnapshot(
+          snapshot,
+          store.filePath
+        );
+        this.snapshotEntries = entries;
+        this.snapshotRetained = retained;
+        this.resetCacheStatistics();
+      }
+    }
+  }
+
+  // Soft pressure evicts cacheShrinkFraction of the cached entries and hard
+  // pressure twice that, never going below minCacheSize
+  shrinkCache(level) {
+    const fraction = Math.min(
+      1,
+      level === "soft" ? this.cacheShrinkFraction : this.cacheShrinkFraction * 2
+    );
+    const target = Math.max(
+      this.minCacheSize,
+      Math.floor(
+        Math.min(this.cache.size(), this.cache.maxSize) * (1 - fraction)
+      )
+    );
+    if (target < this.cache.maxSize) {
+      this.cacheStats.pressureShrinks++;
+      this.cacheStats.pressureEvictions += this.cache.resize(target);
+    }
+  }
+
+  // Once memory is available again the limit climbs back in steps of
+  // cacheGrowFraction of the configured size
+  growCache() {
+    if (this.cache.maxSize >= this.cacheCapacity) return;
+    this.cache.resize(
+      Math.min(
+        this.cacheCapacity,
+        this.cache.maxSize +
+          Math.ceil(this.cacheCapacity * this.cacheGrowFraction)
+      )
+    );
+  }
+
+  // Called from inside a trajectory; at the memory limit the number being
+  // computed fails rather than the process
+  checkMemory(n) {
+    this.memoryManager.checkMemory(); // Resizes the cache under pressure
+    if (this.memoryManager.level === "exhausted") {
+      const { heapUsed, limit } = this.memoryManager;
+      throw new MemoryExhaustedError(
+        `Heap at ${(heapUsed / 1024 / 1024).toFixed(0)}MB reached the ${
+          limit / 1024 / 1024
+        }MB memory limit`,
+        n,
+        heapUsed
+      );
+    }
+  }
+
+  // Full hits answer n straight from the cache, intermediate hits reuse a
+  // cached tail part-way through the trajectory, misses walk it to the end.
+  // Evictions include the ones forced by memory pressure, which are also
+  // counted separately.
+  resetCacheStatistics() {
+    this.cacheStats = {
+      fullHits: 0,
+      intermediateHits: 0,
+      stepsSaved: 0,
+      misses: 0,
+      pressureShrinks: 0,
+      pressureEvictions: 0,
+    };
+    this.cache.resetStats();
+  }
+
+  getCacheStatistics() {
+    return {
+      ...this.cacheStats,
+      insertions: this.cache.stats.insertions,
+      evictions: this.cache.stats.evictions,
+      clears: this.cache.stats.clears,
+      size: this.cache.size(),
+      maxSize: this.cache.maxSize,
+      capacity: this.cacheCapacity,
+      denseEntries: this.memo === "dense" ? this.cache.filled : 0,
+    };
+  }
+
+  // Trajectories stop on reaching 1 ("one"), on entering any known cycle
+  // ("cycle") or, when a divergence bound is set, once |n| exceeds it
+  configureTermination({ mode, cycles, divergenceBound = null }) {
+    mode = mode || (this.map.isStandard ? "one" : "cycle");
+    this.terminalValues = new Set();
+    this.knownCycles = new Map(); // member -> cycle description
+    if (mode === "one") {
+      this.terminalValues.add(1);
+    } else if (mode === "cycle") {
+      for (const cycle of cycles || this.map.cycles) {
+        const members = cycle.map(parseInteger);
+        const description = this.describeCycle(members);
+        members.forEach((value) => {
+          this.terminalValues.add(value);
+          this.knownCycles.set(value, description);
+        });
+      }
+    } else {
+      throw new Error(`Unknown termination mode "${mode}"`);
+    }
+
+    this.terminationMode = mode;
+    this.divergenceBound =
+      divergenceBound === null ? null : parseInteger(divergenceBound);
+    if (this.divergenceBound === null && divergenceBound !== null) {
+      throw new Error("Divergence bound must be an integer");
+    }
+  }
+
+  terminationOf(n) {
+    if (this.terminalValues.has(n)) return this.terminationMode;
+    if (
+      this.divergenceBound !== null &&
+      (n > this.divergenceBound || -n > this.divergenceBound)
+    ) {
+      return "diverged";
+    }
+    return null;
+  }
+
+  describeCycle(members) {
+    let minimum = members[0];
+    let maximum = members[0];
+    let start = 0;
+    members.forEach((value, i) => {
+      if (value < minimum) {
+        minimum = value;
+        start = i;
+      }
+      if (value > maximum) maximum = value;
+    });
+    return {
+      // Rotated to start at the minimum so equal cycles compare equal
+      members: [...members.slice(start), ...members.slice(0, start)],
+      length: members.length,
+      minimum,
+      maximum,
+    };
+  }
+
+  // Called once Brent's algorithm has seen a repeat with period `length`:
+  // walks a second pointer `length` steps ahead of n and advances both until
+  // they meet, which happens exactly at the cycle entry
+  locateCycle(n, length) {
+    let ahead = n;
+    for (let i = 0; i < length; i++) ahead = this.nextValue(ahead);
+
+    let behind = n;
+    let entryStep = 0;
+    while (behind !== ahead) {
+      behind = this.nextValue(behind);
+      ahead = this.nextValue(ahead);
+      entryStep++;
+    }
+
+    const members = [behind];
+    for (let value = this.nextValue(behind); value !== behind; ) {
+      members.push(value);
+      value = this.nextValue(value);
+    }
+    return { ...this.describeCycle(members), entryStep, entryValue: behind };
+  }
+
+  knownCycleAt(value, steps) {
+    const description = this.knownCycles.get(value);
+    return description
+      ? { ...description, entryStep: steps, entryValue: value }
+      : null;
+  }
+
+  // Cached cycles are relative to the cached number; shift them to ours
+  shiftCycle(cycle, steps) {
+    return cycle ? { ...cycle, entryStep: cycle.entryStep + steps } : null;
+  }
+
+  // Whether a cached result can stand in for the rest of a trajectory that
+  // reaches its number. One that lies on its own cycle cannot: the values
+  // before it may be on the cycle too, so the trajectory is walked on and
+  // the entry is the first repeated value, as with a cold cache.
+  reusableTail(cached) {
+    return !(cached.cycle && cached.cycle.entryStep === 0);
+  }
+
+  // Calculators are bound to a single map, so every other map gets its own
+  // calculator (and with it its own cache) sharing this one's settings
+  forMap(map) {
+    const resolved = CollatzMap.from(map);
+    if (CollatzMap.sameBranches(resolved.branches, this.map.branches)) {
+      return this;
+    }
+    const key = JSON.stringify(resolved.toJSON());
+    if (!this.mapCalculators.has(key)) {
+      this.mapCalculators.set(
+        key,
+        new CollatzCalculator({
+          ...this.config,
+          map: resolved.toJSON(),
+          termination: { ...this.config.termination, cycles: undefined },
+          memoSnapshot: undefined,
+        })
+      );
+    }
+    return this.mapCalculators.get(key);
   }
 
-  calculateSequence(n, useCache = true) {
-    if (!Number.isInteger(n) || n <= 0) {
-      throw new Error("Input must be a positive integer");
+  // The memo as a MemoSnapshotStore snapshot from the smallest to the
+  // largest cached number, with one slot per number when most of that range
+  // is cached and one record per entry when it is sparse. Only entries
+  // fitting a dense table are included, which in practice means steps mode
+  // under termination "one"; null when there are none.
+  memoSnapshot() {
+    const width = this.memo === "dense" ? this.cache.width : 32;
+    const maxStoredSteps = 2 ** width - 2;
+    const entries = [];
+    for (const [key, value] of this.cache.entries()) {
+      if (
+        typeof key === "number" &&
+        key > 0 &&
+        fitsDenseEntry(value, maxStoredSteps)
+      ) {
+        entries.push([key, value]);
+      }
+    }
+    if (entries.length === 0) return null;
+    entries.sort(([a], [b]) => a - b);
+
+    const start = entries[0][0];
+    const end = entries[entries.length - 1][0];
+    const sparse = entries.length * 2 < end - start + 1;
+    const slots = sparse ? entries.length : end - start + 1;
+    const StepArray = STEP_ARRAYS[width];
+    const keys = sparse ? new Float64Array(slots) : null;
+    const steps = new StepArray(slots);
+    const stoppingTimes = new StepArray(slots);
+    const peaks = new Float64Array(slots);
+    entries.forEach(([key, value], i) => {
+      const slot = sparse ? i : key - start;
+      if (sparse) keys[slot] = key;
+      steps[slot] = value.steps + 1;
+      stoppingTimes[slot] =
+        value.stoppingTime === null ? 0 : value.stoppingTime + 1;
+      peaks[slot] = value.peak;
+    });
+    return {
+      start,
+      end,
+      map: this.map.toJSON(),
+      width,
+      keys,
+      steps,
+      stoppingTimes,
+      peaks,
+      entries: entries.length,
+    };
+  }
+
+  // Resolves to { filePath, entries, range } or null when nothing was saved.
+  // A memo that kept fewer entries than the snapshot it was loaded from
+  // would replace that snapshot with a smaller one, so it is not saved back
+  // there unless options.overwrite is set; the result then has `kept` set to
+  // the number of entries left in the file.
+  async saveMemoSnapshot(filePath = this.memoSnapshotPath, options = {}) {
+    const snapshot = this.memoSnapshot();
+    if (!snapshot) return null;
+    const store = new MemoSnapshotStore(filePath);
+    if (
+      !options.overwrite &&
+      filePath === this.memoSnapshotPath &&
+      snapshot.entries < this.snapshotEntries
+    ) {
+      return {
+        filePath: store.filePath,
+        entries: snapshot.entries,
+        range: { start: snapshot.start, end: snapshot.end },
+        kept: this.snapshotEntries,
+      };
+    }
+    await store.save(snapshot);
+    return {
+      filePath: store.filePath,
+      entries: snapshot.entries,
+      range: { start: snapshot.start, end: snapshot.end },
+    };
+  }
+
+  // Loads a decoded snapshot into the memo and returns { entries, retained }:
+  // how many entries it held and how many of them the cache kept, which is
+  // fewer when it is smaller than the snapshot. Snapshots of another map
+  // are rejected; steps-only ones get their peaks and stopping times back
+  // from recoverMetrics.
+  restoreMemoSnapshot(snapshot, source = "snapshot") {
+    const reject = (reason) => {
+      throw new MemoSnapshotError(
+        `Rejected memo snapshot ${source}: ${reason}`
+      );
+    };
+    let map;
+    try {
+      map = CollatzMap.from(snapshot.map);
+    } catch (error) {
+      reject(`invalid map definition (${error.message})`);
+    }
+    if (!CollatzMap.sameBranches(map.branches, this.map.branches)) {
+      reject(`it was built for map ${map.name}, not ${this.map.name}`);
+    }
+    if (this.terminationMode !== "one") {
+      reject(`it only holds trajectories that reach 1`);
+    }
+
+    const { steps } = snapshot;
+    const { stoppingTimes, peaks } = snapshot.peaks
+      ? snapshot
+      : this.recoverMetrics(snapshot);
+    let loaded = 0;
+    for (let i = 0; i < steps.length; i++) {
+      if (steps[i] === 0) continue;
+      this.cache.set(snapshotKey(snapshot, i), {
+        steps: steps[i] - 1,
+        peak: peaks[i],
+        stoppingTime: stoppingTimes[i] === 0 ? null : stoppingTimes[i] - 1,
+        cacheHit: false,
+        termination: "one",
+        terminalValue: 1,
+        cycle: null,
+        representation: "number",
+      });
+      loaded++;
+    }
+    let retained = 0;
+    for (let i = 0; i < steps.length; i++) {
+      if (steps[i] !== 0 && this.cache.has(snapshotKey(snapshot, i))) {
+        retained++;
+      }
+    }
+    return { entries: loaded, retained };
+  }
+
+  // Steps-only snapshots, as main.js writes them, lack peaks and stopping
+  // times. Each trajectory is walked until it has dropped below its start
+  // onto an entry already recovered, whose peak then covers the rest; the
+  // stored step count bounds the walk. Returns the arrays in file encoding.
+  recoverMetrics(snapshot) {
+    const { steps } = snapshot;
+    const stoppingTimes = new steps.constructor(steps.length);
+    const peaks = new Float64Array(steps.length);
+    const recovered = new Map(); // key -> peak
+    for (let i = 0; i < steps.length; i++) {
+      if (steps[i] === 0) continue;
+      const n = snapshotKey(snapshot, i);
+      let value = n;
+      let peak = n;
+      for (let step = 1; step < steps[i]; step++) {
+        value = this.nextValue(value);
+        peak = max(peak, value);
+        if (stoppingTimes[i] === 0 && value < n) stoppingTimes[i] = step + 1;
+        if (stoppingTimes[i] !== 0 && recovered.has(value)) {
+          peak = max(peak, recovered.get(value));
+          break;
+        }
+      }
+      recovered.set(n, peak);
+      peaks[i] = Number(peak);
+    }
+    return { stoppingTimes, peaks };
+  }
+
+  parseInput(n) {
+    const value = this.arbitraryPrecision
+      ? parseInteger(n)
+      : Number.isInteger(n)
+      ? n
+      : null;
+    if (value !== null && (value > 0 || this.allowNegative)) return value;
+    throw new InvalidInputError(
+      this.allowNegative
+        ? "Input must be an integer"
+        : "Input must be a positive integer",
+      n
+    );
+  }
+
+  // format "parity" swaps the sequence for its parityVector; cached entries
+  // keep the numbers either way, since later trajectories reuse them
+  calculateSequence(n, useCache = true, format = this.sequenceFormat) {
+    const result = this.followSequence(n, useCache);
+    if (format === "numbers") return result;
+    if (format !== "parity") {
+      throw new Error(`Unknown sequence format "${format}"`);
     }
+    const { sequence, ...metrics } = result;
+    return {
+      ...metrics,
+      parityVector: this.parityVectorOf(sequence, result.steps),
+    };
+  }
+
+  followSequence(n, useCache) {
+    n = this.parseInput(n);
 
     if (useCache) {
       const cached = this.cache.get(n);
-      if (cached) return { ...cached, cacheHit: true };
+      // Entries written by calculateSteps carry no trajectory to reuse
+      if (cached && cached.sequence) {
+        this.cacheStats.fullHits++;
+        return { ...cached, cacheHit: true };
+      }
     }
 
     const sequence = [n];
     let currentNum = n;
     let steps = 0;
+    let peak = n;
+    let usedBigInt = isBig(n);
+    let termination;
+    let cycle = null;
+    // Brent's cycle detection: the hare is the current value and the tortoise
+    // jumps to it whenever the hare has moved a power-of-two number of steps
+    let tortoise = n;
+    let power = 1;
+    let lambda = 0;
 
-    while (currentNum !== 1) {
-      if (
-        steps % this.memoryCheckFrequency === 0 &&
-        !this.memoryManager.checkMemory()
-      ) {
-        this.cache.clear(); // Clear cache if memory pressure is high
-      }
+    while (!(termination = this.terminationOf(currentNum))) {
+      if (steps % this.memoryCheckFrequency === 0) this.checkMemory(n);
 
       if (useCache) {
         const intermediateResult = this.cache.get(currentNum);
-        if (intermediateResult) {
+        if (
+          intermediateResult &&
+          intermediateResult.sequence &&
+          this.reusableTail(intermediateResult)
+        ) {
+          const stepsBefore = steps;
           steps += intermediateResult.steps;
-          return {
+          if (steps > this.maxSteps) {
+            throw new StepLimitError(n, this.maxSteps);
+          }
+          this.cacheStats.intermediateHits++;
+          this.cacheStats.stepsSaved += intermediateResult.steps;
+          const result = {
             steps,
             sequence: [...sequence, ...intermediateResult.sequence.slice(1)],
-            cacheHit: true,
+            peak: max(peak, intermediateResult.peak),
+            cacheHit: false,
+            termination: intermediateResult.termination,
+            terminalValue: intermediateResult.terminalValue,
+            cycle: this.shiftCycle(intermediateResult.cycle, stepsBefore),
+            representation:
+              usedBigInt || intermediateResult.representation === "bigint"
+                ? "bigint"
+                : "number",
           };
+          // Cached like a miss, or every trajectory that reaches a cached
+          // value would be walked again next time
+          this.cache.set(n, result);
+          return { ...result, cacheHit: true };
         }
       }
 
-      currentNum =
-        currentNum % 2 === 0
-          ? currentNum / 2
-          : this.safeMultiply(currentNum, 3) + 1;
+      currentNum = this.nextValue(currentNum);
+      usedBigInt = usedBigInt || isBig(currentNum);
+      if (currentNum > peak) peak = currentNum;
 
       sequence.push(currentNum);
       steps++;
 
-      if (steps > Number.MAX_SAFE_INTEGER) {
-        throw new Error("Sequence exceeded safe integer limit");
+      if (steps > this.maxSteps) throw new StepLimitError(n, this.maxSteps);
+
+      lambda++;
+      if (currentNum === tortoise) {
+        cycle = this.locateCycle(n, lambda);
+        termination = "cycle";
+        steps = cycle.entryStep;
+        sequence.length = steps + 1;
+        currentNum = cycle.entryValue;
+        break;
       }
+      if (lambda === power) {
+        tortoise = currentNum;
+        power *= 2;
+        lambda = 0;
+      }
+    }
+
+    if (termination === "cycle") {
+      cycle = cycle || this.knownCycleAt(currentNum, steps);
+      peak = max(peak, cycle.maximum);
     }
 
-    const result = { steps, sequence, cacheHit: false };
-    if (useCache) this.cache.set(n, result);
+    const result = {
+      steps,
+      sequence,
+      peak,
+      cacheHit: false,
+      termination,
+      terminalValue: currentNum,
+      cycle,
+      representation: usedBigInt ? "bigint" : "number",
+    };
+    if (useCache) {
+      this.cacheStats.misses++;
+      this.cache.set(n, result);
+    }
 
     return result;
   }
 
+  // Parity vectors describe the shortcut map n / 2 or (q * n + r) / 2, so
+  // they need a map that halves even numbers and sends odd ones to an even
+  // q * n + r; returns that odd branch
+  parityBranch() {
+    const [even, odd] = this.map.branches;
+    if (
+      this.map.modulus !== 2 ||
+      even.multiplier !== 1 ||
+      even.addend !== 0 ||
+      even.divisor !== 2 ||
+      odd.divisor !== 1 ||
+      odd.multiplier < 1 ||
+      odd.multiplier % 2 === 0 ||
+      odd.addend % 2 === 0
+    ) {
+      throw new Error(
+        `Parity vectors are not defined for map ${this.map.name}`
+      );
+    }
+    return odd;
+  }
+
+  // Skips the even value after every odd one, as the shortcut map does
+  parityVectorOf(sequence, steps) {
+    this.parityBranch();
+    const vector = new ParityVector(0, new Uint8Array(Math.ceil(steps / 8)));
+    for (let i = 0; i < steps; vector.length++) {
+      if (this.map.residue(sequence[i]) === 1) {
+        vector.set(vector.length);
+        i += 2;
+      } else {
+        i++;
+      }
+    }
+    vector.bytes = vector.bytes.slice(0, Math.ceil(vector.length / 8));
+    return vector;
+  }
+
+  // { residue, modulus }: the class mod 2^k of the numbers whose first k
+  // shortcut steps under this map follow the given parity vector (a
+  // ParityVector or a string of 0s and 1s)
+  residueClassOf(parityVector) {
+    const { multiplier, addend } = this.parityBranch();
+    return ParityVector.from(parityVector).residueClass(multiplier, addend);
+  }
+
+  // Metrics-only variant of calculateSequence: total stopping time, peak and
+  // stopping time (first step below n) without materialising the trajectory.
+  // The cache is only consulted once the trajectory has dropped below n,
+  // since a cached tail cannot tell us when that happens.
+  calculateSteps(n, useCache = true) {
+    n = this.parseInput(n);
+
+    if (useCache) {
+      const cached = this.cache.get(n);
+      // Entries written by followSequence carry no stopping time; null is a
+      // real one (n never dropped below itself), undefined is unknown
+      if (cached && cached.stoppingTime !== undefined) {
+        this.cacheStats.fullHits++;
+        return {
+          steps: cached.steps,
+          peak: cached.peak,
+          stoppingTime: cached.stoppingTime,
+          cacheHit: true,
+          termination: cached.termination,
+          terminalValue: cached.terminalValue,
+          cycle: cached.cycle ?? null,
+          representation: cached.representation,
+        };
+      }
+    }
+
+    let currentNum = n;
+    let steps = 0;
+    let peak = n;
+    let stoppingTime = null;
+    let cacheHit = false;
+    let usedBigInt = isBig(n);
+    let termination;
+    let terminalValue;
+    let cycle = null;
+    let tortoise = n;
+    let power = 1;
+    let lambda = 0;
+
+    while (!(termination = this.terminationOf(currentNum))) {
+      if (steps % this.memoryCheckFrequency === 0) this.checkMemory(n);
+
+      if (useCache && stoppingTime !== null) {
+        const intermediateResult = this.cache.get(currentNum);
+        if (intermediateResult && this.reusableTail(intermediateResult)) {
+          cycle = this.shiftCycle(intermediateResult.cycle, steps);
+          steps += intermediateResult.steps;
+          if (steps > this.maxSteps) {
+            throw new StepLimitError(n, this.maxSteps);
+          }
+          peak = max(peak, intermediateResult.peak);
+          usedBigInt =
+            usedBigInt || intermediateResult.representation === "bigint";
+          termination = intermediateResult.termination;
+          terminalValue = intermediateResult.terminalValue;
+          cacheHit = true;
+          this.cacheStats.intermediateHits++;
+          this.cacheStats.stepsSaved += intermediateResult.steps;
+          break;
+        }
+      }
+
+      currentNum = this.nextValue(currentNum);
+      usedBigInt = usedBigInt || isBig(currentNum);
+      steps++;
+
+      if (currentNum > peak) peak = currentNum;
+      if (stoppingTime === null && currentNum < n) stoppingTime = steps;
+
+      if (steps > this.maxSteps) throw new StepLimitError(n, this.maxSteps);
+
+      lambda++;
+      if (currentNum === tortoise) {
+        cycle = this.locateCycle(n, lambda);
+        termination = "cycle";
+        steps = cycle.entryStep;
+        currentNum = cycle.entryValue;
+        break;
+      }
+      if (lambda === power) {
+        tortoise = currentNum;
+        power *= 2;
+        lambda = 0;
+      }
+    }
+
+    if (termination === "cycle" && !cacheHit) {
+      cycle = cycle || this.knownCycleAt(currentNum, steps);
+      peak = max(peak, cycle.maximum);
+    }
+
+    const result = {
+      steps,
+      peak,
+      stoppingTime,
+      cacheHit,
+      termination,
+      terminalValue: cacheHit ? terminalValue : currentNum,
+      cycle,
+      representation: usedBigInt ? "bigint" : "number",
+    };
+    if (useCache) {
+      if (!cacheHit) this.cacheStats.misses++;
+      this.cache.set(n, { ...result, cacheHit: false });
+    }
+
+    return result;
+  }
+
+  // Verify mode: follows n only until it falls below its start, which
+  // proves n reaches 1 provided every smaller number does. Numbers in a
+  // residue class the sieve rules out are not followed at all (sieved:
+  // true, steps and peak null); otherwise steps is the stopping time.
+  // descended is false for 1, which has nothing below it, and for
+  // trajectories that outlast descentLimit.
+  calculateDescent(n) {
+    n = this.parseInput(n);
+    if (this.sieve.sieves(n)) {
+      return { steps: null, peak: null, descended: true, sieved: true };
+    }
+
+    let currentNum = n;
+    let steps = 0;
+    let peak = n;
+    let usedBigInt = isBig(n);
+    while (n > 1 && steps < this.descentLimit) {
+      if (steps % this.memoryCheckFrequency === 0) this.checkMemory(n);
+      currentNum = this.nextValue(currentNum);
+      usedBigInt = usedBigInt || isBig(currentNum);
+      steps++;
+      if (currentNum > peak) peak = currentNum;
+      if (currentNum < n) break;
+    }
+
+    return {
+      steps,
+      peak,
+      descended: currentNum < n,
+      sieved: false,
+      representation: usedBigInt ? "bigint" : "number",
+    };
+  }
+
+  // Jump mode: total stopping time only, advancing jumpTable.bits steps of
+  // the shortcut map per table lookup while n is at least the table size
+  // (such an n cannot reach 1 part-way through a jump) and one standard
+  // step at a time below it. Intermediate values are skipped, so there is
+  // no peak or stopping time, and the cache is not used.
+  calculateJump(n) {
+    n = this.parseInput(n);
+    if (n < 1) {
+      throw new InvalidInputError("Jump mode needs a positive integer", n);
+    }
+    const table = this.jumpTable;
+    let currentNum = n;
+    let steps = 0;
+    let usedBigInt = isBig(n);
+
+    while (currentNum >= table.size) {
+      let low;
+      if (isBig(currentNum)) {
+        low = Number(currentNum & table.bigMask);
+        currentNum = normalize(
+          BigInt(table.multipliers[low]) * (currentNum >> table.bigBits) +
+            BigInt(table.addends[low])
+        );
+      } else {
+        low = currentNum % table.size;
+        const high = (currentNum - low) / table.size;
+        const next = table.multipliers[low] * high + table.addends[low];
+        if (Number.isSafeInteger(next)) {
+          currentNum = next;
+        } else if (this.arbitraryPrecision) {
+          currentNum = normalize(
+            BigInt(table.multipliers[low]) * BigInt(high) +
+              BigInt(table.addends[low])
+          );
+        } else {
+          throw new OverflowError("Integer overflow detected");
+        }
+      }
+      usedBigInt = usedBigInt || isBig(currentNum);
+      steps += table.stepsFor(low);
+      if (steps > this.maxSteps) throw new StepLimitError(n, this.maxSteps);
+    }
+    while (currentNum !== 1) {
+      currentNum = this.nextValue(currentNum);
+      steps++;
+    }
+
+    return {
+      steps,
+      peak: null,
+      stoppingTime: null,
+      cacheHit: false,
+      termination: "one",
+      terminalValue: 1,
+      cycle: null,
+      representation: usedBigInt ? "bigint" : "number",
+    };
+  }
+
+  calculate(n, useCache = true) {
+    if (this.mode === "jump") return this.calculateJump(n);
+    if (this.mode === "verify") return this.calculateDescent(n);
+    return this.mode === "steps"
+      ? this.calculateSteps(n, useCache)
+      : this.calculateSequence(n, useCache);
+  }
+
+  // Where the trajectories of a and b join: the first value both pass
+  // through, i.e. their lowest common ancestor in the tree trajectories form
+  // around their terminal value. See mergeSet for the result.
+  mergePoint(a, b) {
+    return this.mergeSet([a, b]);
+  }
+
+  // Resolves to { value, steps, termination, terminalValue, representation }
+  // with steps[i] the steps numbers[i] takes to reach value. Trajectories
+  // that end in different places (different cycle entries, or diverged)
+  // have no merge point, and then value and steps are null.
+  //
+  // Each number's total steps give its depth in the tree, so the deeper of
+  // two is advanced to the other's depth and both step in lockstep until
+  // they meet; folding that over the set gives the merge point of all of
+  // them. Trajectories come from the cache where they are in it, and in
+  // sequence mode the cached sequences are read instead of stepped.
+  mergeSet(numbers) {
+    if (numbers.length === 0) {
+      throw new Error("A merge needs at least one number");
+    }
+    const cursors = numbers.map((n) => this.trajectoryCursor(n));
+    const [first] = cursors;
+    const mergeable = cursors.every(
+      (cursor) =>
+        cursor.termination !== "diverged" &&
+        cursor.terminalValue === first.terminalValue
+    );
+    const result = {
+      value: null,
+      steps: null,
+      termination: first.termination,
+      terminalValue: first.terminalValue,
+      representation: cursors.some(
+        (cursor) => cursor.representation === "bigint"
+      )
+        ? "bigint"
+        : "number",
+    };
+    if (!mergeable) return result;
+
+    let merged = { ...first };
+    for (const cursor of cursors.slice(1)) {
+      const other = { ...cursor };
+      if (merged.remaining > other.remaining) {
+        this.advanceCursor(merged, merged.remaining - other.remaining);
+      } else {
+        this.advanceCursor(other, other.remaining - merged.remaining);
+      }
+      while (merged.value !== other.value) {
+        this.advanceCursor(merged, 1);
+        this.advanceCursor(other, 1);
+      }
+    }
+    result.value = merged.value;
+    result.steps = cursors.map((cursor) => cursor.remaining - merged.remaining);
+    return result;
+  }
+
+  // A position on the trajectory of n together with the steps left to its
+  // terminal value
+  trajectoryCursor(n) {
+    n = this.parseInput(n);
+    const trajectory =
+      this.mode === "sequence"
+        ? this.calculateSequence(n, true, "numbers")
+        : this.calculateSteps(n);
+    return {
+      value: n,
+      remaining: trajectory.steps,
+      sequence: trajectory.sequence || null,
+      offset: 0,
+      termination: trajectory.termination,
+      terminalValue: trajectory.terminalValue,
+      representation: trajectory.representation,
+    };
+  }
+
+  advanceCursor(cursor, steps) {
+    if (cursor.sequence) {
+      cursor.offset += steps;
+      cursor.value = cursor.sequence[cursor.offset];
+    } else {
+      for (let i = 0; i < steps; i++) {
+        cursor.value = this.nextValue(cursor.value);
+      }
+    }
+    cursor.remaining -= steps;
+  }
+
+  nextValue(n) {
+    if (!this.map.isStandard) return this.map.next(n, this.arbitraryPrecision);
+    if (isBig(n)) {
+      return normalize(n % 2n === 0n ? n / 2n : 3n * n + 1n);
+    }
+    return n % 2 === 0 ? n / 2 : this.safeAdd(this.safeMultiply(n, 3), 1);
+  }
+
   safeMultiply(a, b) {
+    if (isBig(a) || isBig(b)) return normalize(BigInt(a) * BigInt(b));
     const result = a * b;
     if (!Number.isSafeInteger(result)) {
-      throw new Error("Integer overflow detected");
+      if (this.arbitraryPrecision) return BigInt(a) * BigInt(b);
+      throw new OverflowError("Integer overflow detected");
+    }
+    return result;
+  }
+
+  safeAdd(a, b) {
+    if (isBig(a) || isBig(b)) return normalize(BigInt(a) + BigInt(b));
+    const result = a + b;
+    if (!Number.isSafeInteger(result)) {
+      if (this.arbitraryPrecision) return BigInt(a) + BigInt(b);
+      throw new OverflowError("Integer overflow detected");
     }
     return result;
   }
 
   *generateRange(start, end) {
-    for (let i = start; i <= end; i += this.batchSize) {
-      const batchEnd = Math.min(i + this.batchSize - 1, end);
+    start = this.parseInput(start);
+    end = this.parseInput(end);
+    for (let i = start; i <= end; i = add(i, this.batchSize)) {
+      const batchEnd = min(add(i, this.batchSize - 1), end);
       yield { start: i, end: batchEnd };
     }
   }
 
-  async processBatch(start, end, useCache = true) {
+  async processBatch(start, end, useCache = true, options = {}) {
+    if (options.map) {
+      return this.forMap(options.map).processBatch(start, end, useCache, {
+        ...options,
+        map: undefined,
+      });
+    }
+    start = this.parseInput(start);
+    end = this.parseInput(end);
+    // onResult receives every row (with its timing) as it is computed; when
+    // it returns a promise the batch waits for it, which is how exporters
+    // apply backpressure. collect: false stops rows piling up in memory.
+    // onProgress gets a "progress" event every memoryCheckFrequency numbers
+    // and a "batch" event at the end; an aborted signal stops the batch
+    // between two numbers and rejects with the signal's reason.
+    // failurePolicy overrides the configured one for this batch and
+    // onFailure receives a describeFailure() row for every number that
+    // failed, including the one an "abort" rejects with.
+    const {
+      onResult,
+      onProgress,
+      onFailure,
+      signal,
+      collect = true,
+      failurePolicy = this.failurePolicy,
+    } = options;
+    if (!FAILURE_POLICIES.includes(failurePolicy)) {
+      throw new Error(`Unknown failure policy "${failurePolicy}"`);
+    }
+    const progress = onProgress ? new ProgressTracker(start, end) : null;
     const results = [];
-    try {
-      for (let i = start; i <= end; i++) {
-        if (
-          i % this.memoryCheckFrequency === 0 &&
-          !this.memoryManager.checkMemory()
-        ) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
+    for (let i = start, count = 0; i <= end; i = add(i, 1), count++) {
+      if (signal) signal.throwIfAborted();
+      if (count % this.memoryCheckFrequency === 0) {
+        this.memoryManager.checkMemory();
+        if (progress && count > 0) {
+          onProgress(progress.event("progress", { start, end }));
         }
-        const result = this.calculateSequence(i, useCache);
-        results.push({
-          number: i,
-          ...result,
-        });
+        // Give timers a turn, e.g. PerformanceMonitor's memory sampler
+        await new Promise((resolve) => setImmediate(resolve));
       }
-      return results;
-    } catch (error) {
-      console.error(`Error processing batch ${start}-${end}:`, error);
-      return results; // Return partial results if there was an error
+      const startedAt = onResult ? performance.now() : 0;
+      let result;
+      try {
+        result = { number: i, ...this.calculate(i, useCache) };
+      } catch (error) {
+        result = this.recover(error, i, useCache, failurePolicy, onFailure);
+        if (!result) continue;
+      }
+      if (onResult) {
+        result.timing = performance.now() - startedAt;
+        const pending = onResult(result);
+        if (pending) await pending;
+      }
+      if (collect) results.push(result);
+      if (progress) progress.observe(result);
+    }
+    if (progress) onProgress(progress.batchDone({ start, end }));
+    return results;
+  }
+
+  // Applies a failure policy to a number that threw: returns its row when a
+  // BigInt retry recovered it and null when it was skipped. Rejects under
+  // "abort", and for errors that say nothing about n (those are bugs).
+  recover(error, n, useCache, policy, onFailure) {
+    const failure = toCollatzError(error, n);
+    if (!(failure instanceof CollatzError)) throw failure;
+
+    if (
+      policy === "retry-bigint" &&
+      failure instanceof OverflowError &&
+      !this.arbitraryPrecision
+    ) {
+      if (onFailure) onFailure(describeFailure(failure, "retried"));
+      try {
+        return { number: n, ...this.withBigInt().calculate(n, useCache) };
+      } catch (retryError) {
+        return this.recover(retryError, n, useCache, policy, onFailure);
+      }
+    }
+
+    const action = policy === "abort" ? "aborted" : "skipped";
+    if (onFailure) onFailure(describeFailure(failure, action));
+    if (policy === "abort") throw failure;
+    return null;
+  }
+
+  // Calculator with the same settings and its own cache that promotes to
+  // BigInt instead of overflowing; used to retry failed numbers
+  withBigInt() {
+    if (!this.bigIntCalculator) {
+      this.bigIntCalculator = new CollatzCalculator({
+        ...this.config,
+        arbitraryPrecision: true,
+        memoSnapshot: undefined,
+      });
     }
+    return this.bigIntCalculator;
   }
 }
 
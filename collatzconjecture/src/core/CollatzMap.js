@@ -0,0 +1,179 @@
+// src/core/CollatzMap.js
+const { normalize, isBig } = require("./Numeric");
+const { OverflowError } = require("./Errors");
+
+// Each branch maps n -> (multiplier * n + addend) / divisor and applies to
+// the numbers with n mod modulus equal to the branch's index
+const PRESETS = {
+  standard: {
+    name: "3x+1",
+    modulus: 2,
+    branches: [
+      { multiplier: 1, addend: 0, divisor: 2 },
+      { multiplier: 3, addend: 1, divisor: 1 },
+    ],
+    cycles: [[1, 4, 2]],
+  },
+  "5x+1": {
+    name: "5x+1",
+    modulus: 2,
+    branches: [
+      { multiplier: 1, addend: 0, divisor: 2 },
+      { multiplier: 5, addend: 1, divisor: 1 },
+    ],
+    cycles: [
+      [1, 6, 3, 16, 8, 4, 2],
+      [13, 66, 33, 166, 83, 416, 208, 104, 52, 26],
+      [17, 86, 43, 216, 108, 54, 27, 136, 68, 34],
+    ],
+  },
+  "3x-1": {
+    name: "3x-1",
+    modulus: 2,
+    branches: [
+      { multiplier: 1, addend: 0, divisor: 2 },
+      { multiplier: 3, addend: -1, divisor: 1 },
+    ],
+    cycles: [
+      [1, 2],
+      [5, 14, 7, 20, 10],
+      [
+        17, 50, 25, 74, 37, 110, 55, 164, 82, 41, 122, 61, 182, 91, 272, 136,
+        68, 34,
+      ],
+    ],
+  },
+};
+PRESETS["3x+1"] = PRESETS.standard;
+
+class CollatzMap {
+  constructor(definition = PRESETS.standard) {
+    const { modulus, branches } = definition;
+    if (!Number.isSafeInteger(modulus) || modulus < 1) {
+      throw new Error("Map modulus must be a positive integer");
+    }
+    if (!Array.isArray(branches) || branches.length !== modulus) {
+      throw new Error(
+        `Map needs exactly one branch per residue mod ${modulus}`
+      );
+    }
+    branches.forEach(({ multiplier, addend, divisor }, residue) => {
+      if (
+        !Number.isSafeInteger(multiplier) ||
+        !Number.isSafeInteger(addend) ||
+        !Number.isSafeInteger(divisor) ||
+        divisor < 1
+      ) {
+        throw new Error(`Invalid branch for residue ${residue}`);
+      }
+    });
+
+    this.name = definition.name || CollatzMap.describe(branches);
+    this.modulus = modulus;
+    this.branches = branches.map((b) => ({ ...b }));
+    this.bigBranches = branches.map((b) => ({
+      multiplier: BigInt(b.multiplier),
+      addend: BigInt(b.addend),
+      divisor: BigInt(b.divisor),
+    }));
+    this.cycles = (definition.cycles || []).map((cycle) => [...cycle]);
+    this.isStandard = CollatzMap.sameBranches(
+      this.branches,
+      PRESETS.standard.branches
+    );
+  }
+
+  // Accepts a CollatzMap, a preset name or a plain definition object (the
+  // latter is what survives being posted to a worker thread)
+  static from(map) {
+    if (map instanceof CollatzMap) return map;
+    if (map === undefined || map === null) return new CollatzMap();
+    if (typeof map === "string") {
+      if (PRESETS[map]) return new CollatzMap(PRESETS[map]);
+      const match = /^(\d+)x([+-]\d+)$/.exec(map.replace(/\s/g, ""));
+      if (match) return CollatzMap.qxr(Number(match[1]), Number(match[2]));
+      throw new Error(`Unknown map "${map}"`);
+    }
+    return new CollatzMap(map);
+  }
+
+  // Halve even numbers, send odd n to q*n + r
+  static qxr(q, r, cycles = []) {
+    const preset = Object.values(PRESETS).find(
+      (p) => p.branches[1].multiplier === q && p.branches[1].addend === r
+    );
+    return new CollatzMap({
+      name: `${q}x${r < 0 ? "-" : "+"}${Math.abs(r)}`,
+      modulus: 2,
+      branches: [
+        { multiplier: 1, addend: 0, divisor: 2 },
+        { multiplier: q, addend: r, divisor: 1 },
+      ],
+      cycles: preset ? preset.cycles : cycles,
+    });
+  }
+
+  static describe(branches) {
+    return branches
+      .map(({ multiplier, addend, divisor }) => {
+        const term = `${multiplier}x${addend < 0 ? "-" : "+"}${Math.abs(
+          addend
+        )}`;
+        return divisor === 1 ? term : `(${term})/${divisor}`;
+      })
+      .join(" | ");
+  }
+
+  static sameBranches(a, b) {
+    return (
+      a.length === b.length &&
+      a.every(
+        (branch, i) =>
+          branch.multiplier === b[i].multiplier &&
+          branch.addend === b[i].addend &&
+          branch.divisor === b[i].divisor
+      )
+    );
+  }
+
+  residue(n) {
+    if (isBig(n)) {
+      const m = BigInt(this.modulus);
+      return Number(((n % m) + m) % m);
+    }
+    return ((n % this.modulus) + this.modulus) % this.modulus;
+  }
+
+  next(n, allowBigInt = false) {
+    const residue = this.residue(n);
+    if (!isBig(n)) {
+      const { multiplier, addend, divisor } = this.branches[residue];
+      const value = multiplier * n + addend;
+      if (Number.isSafeInteger(value)) {
+        if (value % divisor !== 0) this.nonIntegral(n);
+        return value / divisor;
+      }
+      if (!allowBigInt) throw new OverflowError("Integer overflow detected");
+      n = BigInt(n);
+    }
+    const { multiplier, addend, divisor } = this.bigBranches[residue];
+    const value = multiplier * n + addend;
+    if (value % divisor !== 0n) this.nonIntegral(n);
+    return normalize(value / divisor);
+  }
+
+  nonIntegral(n) {
+    throw new Error(`Map ${this.name} does not send ${n} to an integer`);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      modulus: this.modulus,
+      branches: this.branches,
+      cycles: this.cycles,
+    };
+  }
+}
+
+module.exports = { CollatzMap, MAP_PRESETS: PRESETS };
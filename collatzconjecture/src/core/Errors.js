@@ -0,0 +1,92 @@
+// src/core/Errors.js
+
+// Base class for the ways a single number can fail to compute. `number` is
+// the starting value that failed and `code` a stable identifier for reports.
+class CollatzError extends Error {
+  constructor(message, number = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.number = number;
+  }
+}
+
+class InvalidInputError extends CollatzError {
+  get code() {
+    return "INVALID_INPUT";
+  }
+}
+
+// A value left the safe integer range without arbitrary precision enabled
+class OverflowError extends CollatzError {
+  get code() {
+    return "OVERFLOW";
+  }
+}
+
+class StepLimitError extends CollatzError {
+  constructor(number, limit) {
+    super(`Trajectory of ${number} exceeded ${limit} steps`, number);
+    this.limit = limit;
+  }
+
+  get code() {
+    return "STEP_LIMIT";
+  }
+}
+
+// Raised once the heap reaches the configured memory limit, or when the
+// engine cannot allocate a trajectory at all
+class MemoryExhaustedError extends CollatzError {
+  constructor(message, number = null, heapUsed = null) {
+    super(message, number);
+    this.heapUsed = heapUsed;
+  }
+
+  get code() {
+    return "MEMORY_EXHAUSTED";
+  }
+}
+
+// What processBatch does with a number that fails: "skip" records it and
+// moves on, "retry-bigint" recomputes overflows with BigInt arithmetic (and
+// skips anything else), "abort" records it and rejects the batch
+const FAILURE_POLICIES = ["skip", "retry-bigint", "abort"];
+
+// Typed errors pass through with the failing number attached; the engine's
+// own allocation failures become MemoryExhaustedError and anything else is
+// returned unchanged, since it is a bug rather than a property of n
+function toCollatzError(error, number) {
+  if (error instanceof CollatzError) {
+    if (error.number === null) error.number = number;
+    return error;
+  }
+  if (
+    error instanceof RangeError &&
+    /invalid array length|allocation failed/i.test(error.message)
+  ) {
+    return new MemoryExhaustedError(error.message, number);
+  }
+  return error;
+}
+
+// The report row for one failed number
+function describeFailure(error, action) {
+  return {
+    number: error.number,
+    code: error.code,
+    error: error.name,
+    message: error.message,
+    action,
+  };
+}
+
+module.exports = {
+  CollatzError,
+  InvalidInputError,
+  OverflowError,
+  StepLimitError,
+  MemoryExhaustedError,
+  FAILURE_POLICIES,
+  toCollatzError,
+  describeFailure,
+};
@@ -0,0 +1,47 @@
+// src/core/JumpTable.js
+
+// Precomputed k-step jumps for the shortcut map T(n) = n / 2 or (3n + 1) / 2.
+// Writing n = 2^k * h + l, the parities of the first k steps depend on l
+// alone, and with o of them odd
+//
+//   T^k(n) = 3^o * h + T^k(l)
+//
+// so multipliers[l] = 3^o and addends[l] = T^k(l) advance any n by k steps
+// of T, which are k + o steps of the standard map (an odd step of T is a
+// 3n + 1 step followed by a halving).
+class JumpTable {
+  constructor(bits = 12) {
+    if (!Number.isInteger(bits) || bits < 1 || bits > 20) {
+      throw new Error("Jump table bits must be an integer from 1 to 20");
+    }
+    this.bits = bits;
+    this.size = 2 ** bits;
+    this.bigBits = BigInt(bits);
+    this.bigMask = BigInt(this.size - 1);
+    this.multipliers = new Float64Array(this.size);
+    this.addends = new Float64Array(this.size);
+    this.oddSteps = new Uint8Array(this.size);
+    for (let low = 0; low < this.size; low++) {
+      let value = low;
+      let odd = 0;
+      for (let j = 0; j < bits; j++) {
+        if (value % 2 === 1) {
+          value = (3 * value + 1) / 2;
+          odd++;
+        } else {
+          value /= 2;
+        }
+      }
+      this.multipliers[low] = 3 ** odd;
+      this.addends[low] = value;
+      this.oddSteps[low] = odd;
+    }
+  }
+
+  // Standard-map steps covered by one jump from a number with these low bits
+  stepsFor(low) {
+    return this.bits + this.oddSteps[low];
+  }
+}
+
+module.exports = { JumpTable };
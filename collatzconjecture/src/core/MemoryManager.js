@@ -1,23 +1,56 @@
 // src/core/MemoryManager.js
-class MemoryManager {
-  constructor(warningThreshold = 150) {
+const { EventEmitter } = require("events");
+
+// Emits "pressure" on every check at or above the soft threshold, with
+// level "soft", "hard" or, past the optional limit, "exhausted", and
+// "available" on every check below it, so listeners can shrink caches
+// gradually and grow them back afterwards
+class MemoryManager extends EventEmitter {
+  constructor(
+    warningThreshold = 150,
+    hardThreshold = warningThreshold * 1.5,
+    limit = Infinity
+  ) {
+    super();
     // MB
     this.warningThreshold = warningThreshold * 1024 * 1024;
+    this.hardThreshold =
+      Math.max(hardThreshold, warningThreshold) * 1024 * 1024;
+    this.limit = Math.max(limit, hardThreshold, warningThreshold) * 1024 * 1024;
+    this.level = "normal";
     this.lastCheck = Date.now();
     this.checkInterval = 1000; // Check every second
   }
 
+  levelFor(heapUsed) {
+    if (heapUsed >= this.limit) return "exhausted";
+    if (heapUsed >= this.hardThreshold) return "hard";
+    if (heapUsed >= this.warningThreshold) return "soft";
+    return "normal";
+  }
+
   checkMemory() {
-    if (Date.now() - this.lastCheck < this.checkInterval) return true;
+    if (Date.now() - this.lastCheck < this.checkInterval) {
+      return this.level === "normal";
+    }
 
     this.lastCheck = Date.now();
-    const used = process.memoryUsage().heapUsed;
+    const heapUsed = process.memoryUsage().heapUsed;
+    const previousLevel = this.level;
+    this.level = this.levelFor(heapUsed);
 
-    if (used > this.warningThreshold) {
+    if (this.level === "hard" || this.level === "exhausted") {
       global.gc && global.gc(); // Optional garbage collection if available
-      return false;
     }
-    return true;
+    this.heapUsed = heapUsed;
+    const event = {
+      level: this.level,
+      previousLevel,
+      heapUsed,
+      timestamp: Date.now(),
+    };
+    this.emit(this.level === "normal" ? "available" : "pressure", event);
+    return this.level === "normal";
   }
 }
 
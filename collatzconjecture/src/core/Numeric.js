@@ -0,0 +1,90 @@
+// src/core/Numeric.js
+// Helpers for values that are plain numbers while they fit in the safe
+// integer range and BigInts once they leave it. Every helper returns values
+// in that canonical form, so `===` and Map keys behave consistently.
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+const MIN_SAFE_BIGINT = BigInt(Number.MIN_SAFE_INTEGER);
+const DECIMAL_PATTERN = /^[+-]?\d+$/;
+
+function normalize(value) {
+  if (
+    typeof value === "bigint" &&
+    value <= MAX_SAFE_BIGINT &&
+    value >= MIN_SAFE_BIGINT
+  ) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Accepts safe integers, BigInts and decimal strings. Returns null for
+// anything else so callers can raise their own error.
+function parseInteger(value) {
+  if (typeof value === "number") {
+    return Number.isSafeInteger(value) ? value : null;
+  }
+  if (typeof value === "bigint") return normalize(value);
+  if (typeof value === "string" && DECIMAL_PATTERN.test(value.trim())) {
+    return normalize(BigInt(value.trim()));
+  }
+  return null;
+}
+
+function isBig(value) {
+  return typeof value === "bigint";
+}
+
+function add(a, b) {
+  if (!isBig(a) && !isBig(b)) {
+    const result = a + b;
+    if (Number.isSafeInteger(result)) return result;
+  }
+  return normalize(BigInt(a) + BigInt(b));
+}
+
+function subtract(a, b) {
+  if (!isBig(a) && !isBig(b)) {
+    const result = a - b;
+    if (Number.isSafeInteger(result)) return result;
+  }
+  return normalize(BigInt(a) - BigInt(b));
+}
+
+function multiply(a, b) {
+  if (!isBig(a) && !isBig(b)) {
+    const result = a * b;
+    if (Number.isSafeInteger(result)) return result;
+  }
+  return normalize(BigInt(a) * BigInt(b));
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+function representationOf(value) {
+  return isBig(value) ? "bigint" : "number";
+}
+
+// JSON.stringify cannot serialise BigInt, so large values become strings.
+function toJSONValue(value) {
+  return isBig(value) ? value.toString() : value;
+}
+
+module.exports = {
+  MAX_SAFE_BIGINT,
+  normalize,
+  parseInteger,
+  isBig,
+  add,
+  subtract,
+  multiply,
+  min,
+  max,
+  representationOf,
+  toJSONValue,
+};
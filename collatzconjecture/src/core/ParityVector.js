@@ -0,0 +1,93 @@
+// src/core/ParityVector.js
+const { normalize } = require("./Numeric");
+
+const PARITY_PATTERN = /^[01]*$/;
+
+// The even/odd pattern of a trajectory under the shortcut map
+// T(n) = n / 2 or (q * n + r) / 2: bit j is 1 when T^j(n) is odd. That is
+// the standard trajectory with the even value after every q * n + r step
+// left out, so n and its vector are enough to rebuild the trajectory.
+// Bits are packed eight to a byte, bit j at position j % 8 of byte j >> 3.
+class ParityVector {
+  constructor(length, bytes = new Uint8Array(Math.ceil(length / 8))) {
+    this.length = length;
+    this.bytes = bytes;
+  }
+
+  // Accepts a ParityVector, a string of 0s and 1s in trajectory order, or
+  // the plain { length, bytes } a ParityVector turns into when posted to
+  // a worker thread
+  static from(value) {
+    if (value instanceof ParityVector) return value;
+    if (typeof value === "string") {
+      if (!PARITY_PATTERN.test(value)) {
+        throw new Error(`Parity vector must be 0s and 1s, got "${value}"`);
+      }
+      const vector = new ParityVector(value.length);
+      for (let j = 0; j < value.length; j++) {
+        if (value[j] === "1") vector.set(j);
+      }
+      return vector;
+    }
+    if (value && Number.isSafeInteger(value.length) && value.bytes) {
+      return new ParityVector(value.length, Uint8Array.from(value.bytes));
+    }
+    throw new Error("Not a parity vector");
+  }
+
+  get(j) {
+    return (this.bytes[j >> 3] >> (j & 7)) & 1;
+  }
+
+  set(j) {
+    this.bytes[j >> 3] |= 1 << (j & 7);
+  }
+
+  oddSteps() {
+    let count = 0;
+    for (let j = 0; j < this.length; j++) count += this.get(j);
+    return count;
+  }
+
+  // The residue class mod 2^length of the numbers whose first `length`
+  // steps of T have exactly this pattern. There is one for every vector
+  // (Terras): fixing n mod 2^j fixes T^j(n) up to adding a multiple of q^a,
+  // which is odd, so bit j decides bit j of n. Values are BigInts while
+  // building so any length works; both are returned in canonical form.
+  residueClass(multiplier = 3, addend = 1) {
+    const q = BigInt(multiplier);
+    const r = BigInt(addend);
+    let residue = 0n;
+    let value = 0n; // T^j(residue)
+    let power = 1n; // q^a after a odd steps
+    for (let j = 0; j < this.length; j++) {
+      const bit = BigInt(this.get(j));
+      if (((value % 2n) + 2n) % 2n !== bit) {
+        residue += 1n << BigInt(j);
+        value += power;
+      }
+      if (bit === 1n) {
+        value = (q * value + r) / 2n;
+        power *= q;
+      } else {
+        value /= 2n;
+      }
+    }
+    return {
+      residue: normalize(residue),
+      modulus: normalize(1n << BigInt(this.length)),
+    };
+  }
+
+  toString() {
+    let text = "";
+    for (let j = 0; j < this.length; j++) text += this.get(j);
+    return text;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+module.exports = { ParityVector };
@@ -0,0 +1,71 @@
+// src/core/ResidueSieve.js
+
+// Residue classes mod 2^bits whose members provably fall below their start.
+// For n = 2^bits * m + r the first `bits` steps of the shortcut map
+// T(x) = x / 2 or (3x + 1) / 2 depend on r alone, and after j of them, a of
+// which were odd,
+//
+//   T^j(n) = (3^a * n + c) / 2^j
+//
+// for a constant c. Once 3^a < 2^j that is below n for every
+// n > c / (2^j - 3^a), so the whole class can be skipped past that point.
+// The classes for which that never happens within `bits` steps survive and
+// have to be checked one number at a time.
+class ResidueSieve {
+  constructor(bits = 16) {
+    // One Float64 per class, so 26 bits is already 512MB
+    if (!Number.isInteger(bits) || bits < 1 || bits > 26) {
+      throw new Error("Sieve bits must be an integer from 1 to 26");
+    }
+    this.bits = bits;
+    this.modulus = 2 ** bits;
+    this.bigModulusMask = BigInt(this.modulus - 1);
+    // Per residue, the bound n has to exceed for the descent to be
+    // guaranteed; Infinity for survivors
+    this.thresholds = new Float64Array(this.modulus);
+    this.survivors = 0;
+    for (let r = 0; r < this.modulus; r++) {
+      this.thresholds[r] = this.thresholdFor(r);
+      if (this.thresholds[r] === Infinity) this.survivors++;
+    }
+  }
+
+  thresholdFor(r) {
+    let value = r; // T^j(r), whose parity matches T^j(n)'s while j < bits
+    let power3 = 1; // 3^a
+    let power2 = 1; // 2^j
+    let c = 0;
+    for (let j = 0; j < this.bits; j++) {
+      if (value % 2 === 1) {
+        value = (3 * value + 1) / 2;
+        c = 3 * c + power2;
+        power3 *= 3;
+      } else {
+        value /= 2;
+      }
+      power2 *= 2;
+      if (power3 < power2) {
+        // Rounded up a whole unit so float error never sieves too much
+        return Math.floor(c / (power2 - power3)) + 1;
+      }
+    }
+    return Infinity;
+  }
+
+  residue(n) {
+    return typeof n === "bigint"
+      ? Number(n & this.bigModulusMask)
+      : n % this.modulus;
+  }
+
+  // Whether n certainly falls below itself, so nothing needs computing
+  sieves(n) {
+    return n > this.thresholds[this.residue(n)];
+  }
+
+  get survivorFraction() {
+    return this.survivors / this.modulus;
+  }
+}
+
+module.exports = { ResidueSieve };
@@ -0,0 +1,29 @@
+// src/core/cache/BaseCache.js
+
+// What the eviction policies share: the size limit, the counters and
+// resizing. Each policy supplies get/set/has/delete/clear/entries/size and
+// the evict() hook, which removes the entry the policy picks, counts the
+// eviction and returns its key (undefined when the cache is empty).
+class BaseCache {
+  constructor(maxSize = 10000) {
+    this.maxSize = maxSize;
+    this.resetStats();
+  }
+
+  // Shrinking evicts down to the new limit; returns how many entries went
+  resize(maxSize) {
+    this.maxSize = maxSize;
+    let evicted = 0;
+    while (this.size() > this.maxSize && this.evict() !== undefined) {
+      evicted++;
+    }
+    return evicted;
+  }
+
+  // Counted since construction or the last resetStats(); clear() keeps them
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, insertions: 0, evictions: 0, clears: 0 };
+  }
+}
+
+module.exports = { BaseCache };
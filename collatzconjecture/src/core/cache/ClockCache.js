@@ -0,0 +1,109 @@
+// src/core/cache/ClockCache.js
+const { normalize } = require("../Numeric");
+const { BaseCache } = require("./BaseCache");
+
+// Second-chance eviction: a hand sweeps a fixed ring of slots, clearing
+// reference bits until it finds an entry that has not been used since the
+// last pass. Amortised O(1) per eviction.
+class ClockCache extends BaseCache {
+  constructor(maxSize = 10000) {
+    super(maxSize);
+    this.index = new Map(); // key -> slot
+    this.keys = [];
+    this.values = [];
+    this.referenced = new Uint8Array(maxSize);
+    this.freeSlots = [];
+    this.hand = 0;
+  }
+
+  get(key) {
+    const slot = this.index.get(normalize(key));
+    if (slot === undefined) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    this.referenced[slot] = 1;
+    return this.values[slot];
+  }
+
+  set(key, value) {
+    key = normalize(key);
+    let slot = this.index.get(key);
+    if (slot === undefined) {
+      if (this.index.size >= this.maxSize) this.evict();
+      this.stats.insertions++;
+      slot =
+        this.freeSlots.length > 0 ? this.freeSlots.pop() : this.keys.length;
+      this.index.set(key, slot);
+      this.keys[slot] = key;
+    }
+    this.values[slot] = value;
+    this.referenced[slot] = 1;
+  }
+
+  has(key) {
+    return this.index.has(normalize(key));
+  }
+
+  delete(key) {
+    key = normalize(key);
+    const slot = this.index.get(key);
+    if (slot === undefined) return false;
+    this.index.delete(key);
+    this.keys[slot] = undefined;
+    this.values[slot] = undefined;
+    this.referenced[slot] = 0;
+    this.freeSlots.push(slot);
+    return true;
+  }
+
+  evict() {
+    if (this.index.size === 0) return undefined;
+    for (;;) {
+      const slot = this.hand;
+      const key = this.keys[slot];
+      this.hand = (this.hand + 1) % this.keys.length;
+      if (key === undefined) continue;
+      if (this.referenced[slot]) {
+        this.referenced[slot] = 0;
+      } else {
+        this.delete(key);
+        this.stats.evictions++;
+        return key;
+      }
+    }
+  }
+
+  // Shrinking evicts down to the new limit and leaves the emptied slots on
+  // the free list; growing past the ring's capacity reallocates the bits
+  resize(maxSize) {
+    if (maxSize > this.referenced.length) {
+      const referenced = new Uint8Array(maxSize);
+      referenced.set(this.referenced);
+      this.referenced = referenced;
+    }
+    return super.resize(maxSize);
+  }
+
+  clear() {
+    this.index.clear();
+    this.keys = [];
+    this.values = [];
+    this.referenced.fill(0);
+    this.freeSlots = [];
+    this.hand = 0;
+    this.stats.clears++;
+  }
+
+  // [key, value] pairs, without touching reference bits or stats
+  *entries() {
+    for (const [key, slot] of this.index) yield [key, this.values[slot]];
+  }
+
+  size() {
+    return this.index.size;
+  }
+}
+
+module.exports = { ClockCache };
@@ -0,0 +1,161 @@
+// src/core/cache/DenseCache.js
+const { normalize } = require("../Numeric");
+
+const STEP_ARRAYS = { 16: Uint16Array, 32: Uint32Array };
+
+// Whether an entry can be stored as counts alone: a steps-mode entry whose
+// trajectory reached 1 within Number range, counts at most maxStoredSteps
+function fitsDenseEntry(value, maxStoredSteps) {
+  return (
+    value.sequence === undefined &&
+    value.termination === "one" &&
+    value.representation === "number" &&
+    value.steps <= maxStoredSteps &&
+    (value.stoppingTime ?? 0) <= maxStoredSteps
+  );
+}
+
+// Memo table for scans over 1..N: the entries of every n below `bound` live
+// in typed arrays indexed by n instead of a keyed map, so lookups never hash
+// and nothing is evicted. Only steps-mode entries of trajectories that
+// reached 1 fit; sequences, cycles, BigInt peaks, step counts too wide for
+// the chosen array and keys outside 1..bound-1 go to the fallback cache,
+// whose limit is the one memory pressure resizes.
+class DenseCache {
+  constructor(bound, fallback, width = 32) {
+    const StepArray = STEP_ARRAYS[width];
+    if (!StepArray) {
+      throw new Error(`Dense memo width must be 16 or 32, not ${width}`);
+    }
+    this.bound = bound;
+    this.width = width;
+    this.fallback = fallback;
+    // Counts are stored plus one so that 0 marks an empty slot
+    this.steps = new StepArray(bound);
+    this.stoppingTimes = new StepArray(bound);
+    this.peaks = new Float64Array(bound);
+    this.maxStoredSteps = 2 ** width - 2;
+    this.filled = 0;
+    this.resetStats();
+  }
+
+  get maxSize() {
+    return this.fallback.maxSize;
+  }
+
+  indexOf(key) {
+    return typeof key === "number" && key > 0 && key < this.bound ? key : -1;
+  }
+
+  fits(value) {
+    return fitsDenseEntry(value, this.maxStoredSteps);
+  }
+
+  get(key) {
+    key = normalize(key);
+    const index = this.indexOf(key);
+    if (index === -1 || this.steps[index] === 0) {
+      // A miss on a dense key may still be an entry that did not fit
+      return this.fallback.get(key);
+    }
+    this.denseStats.hits++;
+    return this.entryAt(index);
+  }
+
+  entryAt(index) {
+    const stoppingTime = this.stoppingTimes[index];
+    return {
+      steps: this.steps[index] - 1,
+      peak: this.peaks[index],
+      stoppingTime: stoppingTime === 0 ? null : stoppingTime - 1,
+      cacheHit: false,
+      termination: "one",
+      terminalValue: 1,
+      cycle: null,
+      representation: "number",
+    };
+  }
+
+  set(key, value) {
+    key = normalize(key);
+    const index = this.indexOf(key);
+    if (index === -1 || !this.fits(value)) {
+      this.fallback.set(key, value);
+      return;
+    }
+    if (this.steps[index] === 0) {
+      this.filled++;
+      this.denseStats.insertions++;
+    }
+    this.steps[index] = value.steps + 1;
+    this.stoppingTimes[index] =
+      value.stoppingTime === null ? 0 : value.stoppingTime + 1;
+    this.peaks[index] = value.peak;
+  }
+
+  has(key) {
+    key = normalize(key);
+    const index = this.indexOf(key);
+    return (index !== -1 && this.steps[index] !== 0) || this.fallback.has(key);
+  }
+
+  delete(key) {
+    key = normalize(key);
+    const index = this.indexOf(key);
+    if (index !== -1 && this.steps[index] !== 0) {
+      this.steps[index] = 0;
+      this.filled--;
+      return true;
+    }
+    return this.fallback.delete(key);
+  }
+
+  // Only fallback entries are ever evicted
+  evict() {
+    return this.fallback.evict();
+  }
+
+  resize(maxSize) {
+    return this.fallback.resize(maxSize);
+  }
+
+  clear() {
+    this.steps.fill(0);
+    this.filled = 0;
+    this.fallback.clear();
+    this.denseStats.clears++;
+  }
+
+  // Dense hits and insertions plus the fallback's own counters
+  get stats() {
+    const fallback = this.fallback.stats;
+    return {
+      hits: this.denseStats.hits + fallback.hits,
+      misses: fallback.misses,
+      insertions: this.denseStats.insertions + fallback.insertions,
+      evictions: fallback.evictions,
+      clears: this.denseStats.clears,
+    };
+  }
+
+  resetStats() {
+    this.denseStats = { hits: 0, insertions: 0, clears: 0 };
+    this.fallback.resetStats();
+  }
+
+  // Dense entries in ascending order, then the fallback's; stats untouched
+  *entries() {
+    for (let n = 1; n < this.bound; n++) {
+      if (this.steps[n] !== 0) yield [n, this.entryAt(n)];
+    }
+    yield* this.fallback.entries();
+  }
+
+  // Like maxSize this only covers the fallback, the part that memory
+  // pressure can shrink; the dense entries are counted in `filled`
+  size() {
+    return this.fallback.size();
+  }
+}
+
+module.exports = { DenseCache, fitsDenseEntry, STEP_ARRAYS };
@@ -0,0 +1,119 @@
+// src/core/cache/LFUCache.js
+const { normalize } = require("../Numeric");
+const { BaseCache } = require("./BaseCache");
+
+// Keys are grouped in per-frequency buckets; each bucket is an insertion
+// ordered Set, so ties are broken by recency. The buckets form a linked list
+// in ascending frequency around a sentinel, so the least frequent bucket is
+// always sentinel.next and every operation is O(1), including back-to-back
+// evictions when the cache shrinks.
+class LFUCache extends BaseCache {
+  constructor(maxSize = 10000) {
+    super(maxSize);
+    this.cache = new Map(); // key -> { value, bucket }
+    this.sentinel = { frequency: 0 };
+    this.sentinel.prev = this.sentinel.next = this.sentinel;
+  }
+
+  // 0 while the cache is empty
+  get minFrequency() {
+    return this.sentinel.next.frequency;
+  }
+
+  get(key) {
+    key = normalize(key);
+    const entry = this.cache.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    this.touch(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    key = normalize(key);
+    const entry = this.cache.get(key);
+    if (entry) {
+      entry.value = value;
+      this.touch(key, entry);
+      return;
+    }
+    if (this.cache.size >= this.maxSize) this.evict();
+    this.stats.insertions++;
+    const bucket = this.bucketAfter(this.sentinel, 1);
+    bucket.keys.add(key);
+    this.cache.set(key, { value, bucket });
+  }
+
+  touch(key, entry) {
+    const { bucket } = entry;
+    const next = this.bucketAfter(bucket, bucket.frequency + 1);
+    next.keys.add(key);
+    this.remove(bucket, key);
+    entry.bucket = next;
+  }
+
+  // The bucket for `frequency` right after `previous`, created if missing
+  bucketAfter(previous, frequency) {
+    if (previous.next.frequency === frequency) return previous.next;
+    const bucket = {
+      frequency,
+      keys: new Set(),
+      prev: previous,
+      next: previous.next,
+    };
+    previous.next.prev = bucket;
+    previous.next = bucket;
+    return bucket;
+  }
+
+  // Drops key from its bucket, and the bucket once it is empty
+  remove(bucket, key) {
+    bucket.keys.delete(key);
+    if (bucket.keys.size === 0) {
+      bucket.prev.next = bucket.next;
+      bucket.next.prev = bucket.prev;
+    }
+  }
+
+  has(key) {
+    return this.cache.has(normalize(key));
+  }
+
+  delete(key) {
+    key = normalize(key);
+    const entry = this.cache.get(key);
+    if (!entry) return false;
+    this.remove(entry.bucket, key);
+    return this.cache.delete(key);
+  }
+
+  evict() {
+    const bucket = this.sentinel.next;
+    if (bucket === this.sentinel) return undefined;
+    const key = bucket.keys.values().next().value;
+    this.remove(bucket, key);
+    this.cache.delete(key);
+    this.stats.evictions++;
+    return key;
+  }
+
+  clear() {
+    this.cache.clear();
+    this.sentinel.prev = this.sentinel.next = this.sentinel;
+    this.stats.clears++;
+  }
+
+  // [key, value] pairs, without touching frequencies or stats
+  *entries() {
+    for (const [key, entry] of this.cache) yield [key, entry.value];
+  }
+
+  size() {
+    return this.cache.size;
+  }
+}
+
+module.exports = { LFUCache };
@@ -0,0 +1,100 @@
+// src/core/cache/LRUCache.js
+const { normalize } = require("../Numeric");
+const { BaseCache } = require("./BaseCache");
+
+// Entries form a doubly linked list in recency order around a sentinel:
+// sentinel.next is the least recently used entry, sentinel.prev the most
+// recent. Every operation is O(1). (Re-inserting into a Map to reorder it is
+// not: V8 leaves deleted slots at the front of the table until it rehashes,
+// and finding the oldest key then means walking over all of them.)
+class LRUCache extends BaseCache {
+  constructor(maxSize = 10000) {
+    super(maxSize);
+    this.cache = new Map(); // key -> { key, value, prev, next }
+    this.sentinel = {};
+    this.sentinel.prev = this.sentinel.next = this.sentinel;
+  }
+
+  unlink(node) {
+    node.prev.next = node.next;
+    node.next.prev = node.prev;
+  }
+
+  append(node) {
+    node.prev = this.sentinel.prev;
+    node.next = this.sentinel;
+    this.sentinel.prev.next = node;
+    this.sentinel.prev = node;
+  }
+
+  get(key) {
+    key = normalize(key); // BigInt keys in the safe range share number keys
+    const node = this.cache.get(key);
+    if (!node) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    this.unlink(node);
+    this.append(node);
+    return node.value;
+  }
+
+  set(key, value) {
+    key = normalize(key);
+    const node = this.cache.get(key);
+    if (node) {
+      node.value = value;
+      this.unlink(node);
+      this.append(node);
+      return;
+    }
+    if (this.cache.size >= this.maxSize) this.evict();
+    this.stats.insertions++;
+    const entry = { key, value, prev: null, next: null };
+    this.cache.set(key, entry);
+    this.append(entry);
+  }
+
+  has(key) {
+    return this.cache.has(normalize(key));
+  }
+
+  delete(key) {
+    key = normalize(key);
+    const node = this.cache.get(key);
+    if (!node) return false;
+    this.unlink(node);
+    return this.cache.delete(key);
+  }
+
+  evict() {
+    const oldest = this.sentinel.next;
+    if (oldest === this.sentinel) return undefined;
+    this.unlink(oldest);
+    this.cache.delete(oldest.key);
+    this.stats.evictions++;
+    return oldest.key;
+  }
+
+  clear() {
+    this.cache.clear();
+    this.sentinel.prev = this.sentinel.next = this.sentinel;
+    this.stats.clears++;
+  }
+
+  // [key, value] pairs from least to most recently used, without touching
+  // recency or stats
+  *entries() {
+    for (let node = this.sentinel.next; node !== this.sentinel; ) {
+      yield [node.key, node.value];
+      node = node.next;
+    }
+  }
+
+  size() {
+    return this.cache.size;
+  }
+}
+
+module.exports = { LRUCache };
@@ -0,0 +1,79 @@
+// src/core/cache/RandomCache.js
+const { normalize } = require("../Numeric");
+const { BaseCache } = require("./BaseCache");
+
+// Evicts a uniformly random entry. Keys live in a dense array so the victim
+// can be swapped with the last element and popped in O(1).
+class RandomCache extends BaseCache {
+  constructor(maxSize = 10000, random = Math.random) {
+    super(maxSize);
+    this.random = random;
+    this.cache = new Map(); // key -> { value, position }
+    this.keys = [];
+  }
+
+  get(key) {
+    const entry = this.cache.get(normalize(key));
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    key = normalize(key);
+    const entry = this.cache.get(key);
+    if (entry) {
+      entry.value = value;
+      return;
+    }
+    if (this.cache.size >= this.maxSize) this.evict();
+    this.stats.insertions++;
+    this.cache.set(key, { value, position: this.keys.length });
+    this.keys.push(key);
+  }
+
+  has(key) {
+    return this.cache.has(normalize(key));
+  }
+
+  delete(key) {
+    key = normalize(key);
+    const entry = this.cache.get(key);
+    if (!entry) return false;
+    const last = this.keys.pop();
+    if (last !== key) {
+      this.keys[entry.position] = last;
+      this.cache.get(last).position = entry.position;
+    }
+    this.cache.delete(key);
+    return true;
+  }
+
+  evict() {
+    if (this.keys.length === 0) return undefined;
+    const key = this.keys[Math.floor(this.random() * this.keys.length)];
+    this.delete(key);
+    this.stats.evictions++;
+    return key;
+  }
+
+  clear() {
+    this.cache.clear();
+    this.keys = [];
+    this.stats.clears++;
+  }
+
+  // [key, value] pairs, without touching stats
+  *entries() {
+    for (const [key, entry] of this.cache) yield [key, entry.value];
+  }
+
+  size() {
+    return this.cache.size;
+  }
+}
+
+module.exports = { RandomCache };
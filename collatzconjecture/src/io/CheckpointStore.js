@@ -0,0 +1,51 @@
+// src/io/CheckpointStore.js
+const fs = require("fs");
+
+const CHECKPOINT_VERSION = 1;
+
+// Persists scan progress as JSON. Writes go to a temporary file that is then
+// renamed over the checkpoint, so a crash mid-write never corrupts it.
+class CheckpointStore {
+  constructor(filePath = "collatz-scan.checkpoint.json") {
+    this.filePath = filePath;
+  }
+
+  async save(state) {
+    const payload = JSON.stringify(
+      {
+        version: CHECKPOINT_VERSION,
+        savedAt: new Date().toISOString(),
+        ...state,
+      },
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    );
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, payload);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async load() {
+    let payload;
+    try {
+      payload = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    const state = JSON.parse(payload);
+    if (state.version !== CHECKPOINT_VERSION) {
+      throw new Error(
+        `Unsupported checkpoint version ${state.version} in ${this.filePath}`
+      );
+    }
+    return state;
+  }
+
+  async remove() {
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+}
+
+module.exports = { CheckpointStore, CHECKPOINT_VERSION };
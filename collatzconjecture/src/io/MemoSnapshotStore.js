@@ -0,0 +1,227 @@
+// src/io/MemoSnapshotStore.js
+const fs = require("fs");
+const crypto = require("crypto");
+const { STEP_ARRAYS } = require("../core/cache/DenseCache");
+
+const MAGIC = Buffer.from("CLZMEMO\0", "latin1");
+const SNAPSHOT_VERSION = 1;
+const FULL_ENTRIES = 1; // flag: stopping times and peaks follow the steps
+const SPARSE_ENTRIES = 2; // flag: one record per entry, keyed by number
+const KNOWN_FLAGS = FULL_ENTRIES | SPARSE_ENTRIES;
+
+// Layout, little endian, every array 8-byte aligned so it can be viewed in
+// place once the file is read:
+//
+//   0  magic "CLZMEMO\0"        24  end (u64)
+//   8  version (u16)            32  SHA-256 of everything except itself
+//  10  step width, 16|32 (u8)   64  map definition, JSON, zero padded
+//  11  flags (u8)                   steps[end - start + 1], then with
+//  12  map JSON length (u32)        FULL_ENTRIES stoppingTimes[...] of the
+//  16  start (u64)                  same width and peaks (f64)[...]
+//
+// With SPARSE_ENTRIES the map is followed by the entry count (u64) and
+// keys (f64)[count], and the arrays after it hold count slots, one per key,
+// instead of one per number in the range.
+//
+// Counts are stored plus one, so 0 marks a number without an entry, and a
+// stopping time of 0 means it had none.
+const HEADER_SIZE = 64;
+const CHECKSUM_OFFSET = 32;
+
+class MemoSnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MemoSnapshotError";
+  }
+}
+
+const align = (offset) => Math.ceil(offset / 8) * 8;
+
+function checksum(buffer) {
+  return crypto
+    .createHash("sha256")
+    .update(buffer.subarray(0, CHECKSUM_OFFSET))
+    .update(buffer.subarray(HEADER_SIZE))
+    .digest();
+}
+
+function layout(count, width, mapLength, full, sparse) {
+  const keys = align(HEADER_SIZE + mapLength) + 8;
+  const steps = sparse ? keys + count * 8 : align(HEADER_SIZE + mapLength);
+  const stepBytes = align((count * width) / 8);
+  const stoppingTimes = steps + stepBytes;
+  const peaks = stoppingTimes + stepBytes;
+  return {
+    countOffset: keys - 8,
+    keys,
+    steps,
+    stoppingTimes,
+    peaks,
+    size: full ? peaks + count * 8 : stoppingTimes,
+  };
+}
+
+// snapshot: { start, end, map, width, steps, stoppingTimes?, peaks? } with
+// typed arrays of end - start + 1 slots, or with `keys` (a Float64Array of
+// ascending numbers) and arrays of one slot per key
+function encodeSnapshot(snapshot) {
+  const { start, end, width } = snapshot;
+  const sparse = Boolean(snapshot.keys);
+  const count = sparse ? snapshot.keys.length : end - start + 1;
+  const full = Boolean(snapshot.stoppingTimes && snapshot.peaks);
+  const mapJSON = Buffer.from(JSON.stringify(snapshot.map));
+  const offsets = layout(count, width, mapJSON.length, full, sparse);
+
+  const buffer = Buffer.alloc(offsets.size);
+  MAGIC.copy(buffer, 0);
+  buffer.writeUInt16LE(SNAPSHOT_VERSION, 8);
+  buffer.writeUInt8(width, 10);
+  buffer.writeUInt8(
+    (full ? FULL_ENTRIES : 0) | (sparse ? SPARSE_ENTRIES : 0),
+    11
+  );
+  buffer.writeUInt32LE(mapJSON.length, 12);
+  buffer.writeBigUInt64LE(BigInt(start), 16);
+  buffer.writeBigUInt64LE(BigInt(end), 24);
+  mapJSON.copy(buffer, HEADER_SIZE);
+
+  const copy = (array, offset) =>
+    Buffer.from(array.buffer, array.byteOffset, array.byteLength).copy(
+      buffer,
+      offset
+    );
+  if (sparse) {
+    buffer.writeBigUInt64LE(BigInt(count), offsets.countOffset);
+    copy(snapshot.keys, offsets.keys);
+  }
+  copy(snapshot.steps, offsets.steps);
+  if (full) {
+    copy(snapshot.stoppingTimes, offsets.stoppingTimes);
+    copy(snapshot.peaks, offsets.peaks);
+  }
+  checksum(buffer).copy(buffer, CHECKSUM_OFFSET);
+  return buffer;
+}
+
+// Arrays are views into `buffer` when it is suitably aligned (a freshly
+// read file is) and copies otherwise. Anything truncated, altered or
+// written by another version is rejected.
+function decodeSnapshot(buffer, source = "snapshot") {
+  const reject = (reason) => {
+    throw new MemoSnapshotError(`Rejected memo snapshot ${source}: ${reason}`);
+  };
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, 8).equals(MAGIC)) {
+    reject("not a memo snapshot");
+  }
+  const version = buffer.readUInt16LE(8);
+  if (version !== SNAPSHOT_VERSION) reject(`unsupported version ${version}`);
+  const width = buffer.readUInt8(10);
+  const StepArray = STEP_ARRAYS[width];
+  if (!StepArray) reject(`invalid step width ${width}`);
+  const flags = buffer.readUInt8(11);
+  if ((flags & ~KNOWN_FLAGS) !== 0) reject(`unknown flags ${flags}`);
+  const full = (flags & FULL_ENTRIES) !== 0;
+  const sparse = (flags & SPARSE_ENTRIES) !== 0;
+  const mapLength = buffer.readUInt32LE(12);
+  const start = Number(buffer.readBigUInt64LE(16));
+  const end = Number(buffer.readBigUInt64LE(24));
+  if (!(start >= 1 && end >= start && Number.isSafeInteger(end))) {
+    reject(`invalid range ${start}-${end}`);
+  }
+
+  let count = end - start + 1;
+  if (sparse) {
+    const countOffset = align(HEADER_SIZE + mapLength);
+    if (buffer.length < countOffset + 8) reject("truncated entry count");
+    count = Number(buffer.readBigUInt64LE(countOffset));
+    if (count > end - start + 1) reject(`invalid entry count ${count}`);
+  }
+  const offsets = layout(count, width, mapLength, full, sparse);
+  if (buffer.length !== offsets.size) {
+    reject(`expected ${offsets.size} bytes, found ${buffer.length}`);
+  }
+  if (!checksum(buffer).equals(buffer.subarray(CHECKSUM_OFFSET, HEADER_SIZE))) {
+    reject("checksum mismatch");
+  }
+
+  let map;
+  try {
+    map = JSON.parse(
+      buffer.toString("utf8", HEADER_SIZE, HEADER_SIZE + mapLength)
+    );
+  } catch (error) {
+    reject("unreadable map definition");
+  }
+
+  const view = (ArrayType, offset) => {
+    const byteOffset = buffer.byteOffset + offset;
+    return byteOffset % ArrayType.BYTES_PER_ELEMENT === 0
+      ? new ArrayType(buffer.buffer, byteOffset, count)
+      : new ArrayType(
+          buffer.buffer.slice(
+            byteOffset,
+            byteOffset + count * ArrayType.BYTES_PER_ELEMENT
+          )
+        );
+  };
+  return {
+    start,
+    end,
+    map,
+    width,
+    keys: sparse ? view(Float64Array, offsets.keys) : null,
+    steps: view(StepArray, offsets.steps),
+    stoppingTimes: full ? view(StepArray, offsets.stoppingTimes) : null,
+    peaks: full ? view(Float64Array, offsets.peaks) : null,
+  };
+}
+
+// The number each slot of a decoded snapshot's arrays belongs to
+function snapshotKey(snapshot, index) {
+  return snapshot.keys ? snapshot.keys[index] : snapshot.start + index;
+}
+
+// Reads and writes one snapshot file. Like CheckpointStore, writes go to a
+// temporary file that is renamed over the old snapshot.
+class MemoSnapshotStore {
+  constructor(filePath = "collatz-memo.snapshot") {
+    this.filePath = filePath;
+  }
+
+  async save(snapshot) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, encodeSnapshot(snapshot));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async load() {
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(this.filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    return decodeSnapshot(buffer, this.filePath);
+  }
+
+  // For constructors, which load their snapshot before anything else runs
+  loadSync() {
+    let buffer;
+    try {
+      buffer = fs.readFileSync(this.filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    return decodeSnapshot(buffer, this.filePath);
+  }
+}
+
+module.exports = {
+  MemoSnapshotStore,
+  MemoSnapshotError,
+  encodeSnapshot,
+  decodeSnapshot,
+  snapshotKey,
+};
@@ -0,0 +1,239 @@
+// src/io/ResultExporter.js
+const fs = require("fs");
+const { once } = require("events");
+const { normalize } = require("../core/Numeric");
+
+// Binary layout: "CLZB", version byte, column count byte, one id byte per
+// column, then one record per row. Integer columns are nullable zigzag
+// varints (0 = null, otherwise zigzag(value) + 1) so BigInt values keep full
+// precision; cacheHit is a byte and timing a float32 in milliseconds.
+const BINARY_MAGIC = "CLZB";
+const BINARY_VERSION = 1;
+
+const COLUMNS = {
+  number: { id: 1, type: "integer" },
+  steps: { id: 2, type: "integer" },
+  peak: { id: 3, type: "integer" },
+  stoppingTime: { id: 4, type: "integer" },
+  cacheHit: { id: 5, type: "boolean" },
+  timing: { id: 6, type: "float" },
+  termination: { id: 7, type: "string" },
+  representation: { id: 8, type: "string" },
+  parityVector: { id: 9, type: "string" }, // with sequenceFormat "parity"
+};
+const DEFAULT_COLUMNS = ["number", "steps", "peak", "cacheHit", "timing"];
+const FORMATS = ["ndjson", "csv", "binary"];
+
+class ResultExporter {
+  constructor(options = {}) {
+    this.format = options.format || "ndjson";
+    this.columns = options.columns || DEFAULT_COLUMNS;
+    this.output = options.output || "-"; // "-" means stdout
+
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(
+        `Unknown export format "${
+          this.format
+        }". Expected one of: ${FORMATS.join(", ")}`
+      );
+    }
+    const unknown = this.columns.filter((column) => !COLUMNS[column]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown export column(s): ${unknown.join(", ")}`);
+    }
+    if (this.format === "binary" && this.output === "-") {
+      throw new Error("Binary export needs an output file");
+    }
+
+    this.rowsWritten = 0;
+    this.stream = null;
+  }
+
+  open() {
+    if (this.stream) return this;
+    if (typeof this.output === "string") {
+      this.ownsStream = this.output !== "-";
+      this.stream = this.ownsStream
+        ? fs.createWriteStream(this.output)
+        : process.stdout;
+    } else {
+      this.ownsStream = false;
+      this.stream = this.output; // Any writable stream
+    }
+
+    if (this.format === "csv") {
+      this.stream.write(`${this.columns.join(",")}\n`);
+    } else if (this.format === "binary") {
+      const header = Buffer.alloc(6 + this.columns.length);
+      header.write(BINARY_MAGIC, 0, "ascii");
+      header.writeUInt8(BINARY_VERSION, 4);
+      header.writeUInt8(this.columns.length, 5);
+      this.columns.forEach((column, i) =>
+        header.writeUInt8(COLUMNS[column].id, 6 + i)
+      );
+      this.stream.write(header);
+    }
+    return this;
+  }
+
+  // Returns null when the row was buffered, or a promise that resolves once
+  // the stream has drained; callers await it to get backpressure
+  write(row) {
+    if (!this.stream) this.open();
+    this.rowsWritten++;
+    if (this.stream.write(this.encode(row))) return null;
+    return once(this.stream, "drain");
+  }
+
+  encode(row) {
+    if (this.format === "ndjson") {
+      const record = {};
+      for (const column of this.columns) {
+        record[column] = toPlainValue(row[column]);
+      }
+      return `${JSON.stringify(record)}\n`;
+    }
+    if (this.format === "csv") {
+      return `${this.columns
+        .map((column) => toCsvValue(row[column]))
+        .join(",")}\n`;
+    }
+
+    const bytes = [];
+    for (const column of this.columns) {
+      const value = row[column];
+      switch (COLUMNS[column].type) {
+        case "integer":
+          writeNullableVarint(bytes, value);
+          break;
+        case "boolean":
+          bytes.push(value ? 1 : 0);
+          break;
+        case "float": {
+          const float = Buffer.alloc(4);
+          float.writeFloatLE(value ?? NaN);
+          bytes.push(...float);
+          break;
+        }
+        default: {
+          const text = Buffer.from(value == null ? "" : String(value));
+          writeNullableVarint(bytes, text.length);
+          bytes.push(...text);
+        }
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  async close() {
+    if (!this.stream) return;
+    const stream = this.stream;
+    this.stream = null;
+    if (this.ownsStream) {
+      stream.end();
+      await once(stream, "finish");
+    }
+  }
+
+  // Decodes a buffer written in the binary format back into row objects
+  static *decodeBinary(buffer) {
+    if (buffer.toString("ascii", 0, 4) !== BINARY_MAGIC) {
+      throw new Error("Not a Collatz binary export");
+    }
+    const version = buffer.readUInt8(4);
+    if (version !== BINARY_VERSION) {
+      throw new Error(`Unsupported binary export version ${version}`);
+    }
+    const count = buffer.readUInt8(5);
+    const byId = Object.fromEntries(
+      Object.entries(COLUMNS).map(([name, column]) => [column.id, name])
+    );
+    const columns = [];
+    for (let i = 0; i < count; i++) columns.push(byId[buffer.readUInt8(6 + i)]);
+
+    const cursor = { offset: 6 + count };
+    while (cursor.offset < buffer.length) {
+      const row = {};
+      for (const column of columns) {
+        switch (COLUMNS[column].type) {
+          case "integer":
+            row[column] = readNullableVarint(buffer, cursor);
+            break;
+          case "boolean":
+            row[column] = buffer.readUInt8(cursor.offset++) === 1;
+            break;
+          case "float":
+            row[column] = buffer.readFloatLE(cursor.offset);
+            cursor.offset += 4;
+            break;
+          default: {
+            const length = readNullableVarint(buffer, cursor);
+            row[column] = buffer.toString(
+              "utf8",
+              cursor.offset,
+              cursor.offset + length
+            );
+            cursor.offset += length;
+          }
+        }
+      }
+      yield row;
+    }
+  }
+}
+
+function toPlainValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  return value === undefined ? null : value;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeNullableVarint(bytes, value) {
+  if (value === null || value === undefined) {
+    bytes.push(0);
+    return;
+  }
+  if (typeof value === "number" && Math.abs(value) < 2 ** 50) {
+    let zigzag = (value >= 0 ? value * 2 : -value * 2 - 1) + 1;
+    while (zigzag >= 0x80) {
+      bytes.push(zigzag % 0x80 | 0x80);
+      zigzag = Math.floor(zigzag / 0x80);
+    }
+    bytes.push(zigzag);
+    return;
+  }
+  let big = BigInt(value);
+  big = (big >= 0n ? big * 2n : -big * 2n - 1n) + 1n;
+  while (big >= 0x80n) {
+    bytes.push(Number(big & 0x7fn) | 0x80);
+    big >>= 7n;
+  }
+  bytes.push(Number(big));
+}
+
+function readNullableVarint(buffer, cursor) {
+  let result = 0n;
+  let shift = 0n;
+  let byte;
+  do {
+    byte = buffer.readUInt8(cursor.offset++);
+    result |= BigInt(byte & 0x7f) << shift;
+    shift += 7n;
+  } while (byte & 0x80);
+
+  if (result === 0n) return null;
+  const zigzag = result - 1n;
+  return normalize(zigzag & 1n ? -(zigzag + 1n) / 2n : zigzag / 2n);
+}
+
+module.exports = {
+  ResultExporter,
+  EXPORT_COLUMNS: COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS: FORMATS,
+};
@@ -0,0 +1,229 @@
+// src/parallel/WorkerPool.js
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { CollatzCalculator } = require("../core/CollatzCalculator");
+const { ParityVector } = require("../core/ParityVector");
+
+const WORKER_SCRIPT = path.join(__dirname, "worker.js");
+
+class WorkerPool {
+  constructor(options = {}) {
+    this.workerCount = options.workerCount || os.cpus().length;
+    this.calculatorConfig = options.calculatorConfig || {};
+    // Per-number results are expensive to copy between threads; large scans
+    // should turn this off and rely on the per-batch summaries
+    this.collectResults = options.collectResults !== false;
+    // Whether processRange also gathers every result into its return value;
+    // callers that consume them batch by batch turn this off
+    this.retainResults = this.collectResults && options.retainResults !== false;
+    // Batches finished but not yet handed to onBatch, beyond which idle
+    // workers wait for a slow onBatch to catch up
+    this.maxPendingBatches = options.maxPendingBatches || this.workerCount * 2;
+    this.workers = [];
+  }
+
+  start() {
+    if (this.workers.length > 0) return this;
+    for (let i = 0; i < this.workerCount; i++) {
+      this.workers.push(
+        new Worker(WORKER_SCRIPT, {
+          workerData: {
+            calculatorConfig: this.calculatorConfig,
+            collectResults: this.collectResults,
+          },
+        })
+      );
+    }
+    return this;
+  }
+
+  // Sends the batches from generateRange to idle workers and hands the
+  // results to onBatch strictly in batch order, whatever order they finish
+  // in; when onBatch returns a promise the next batch waits for it. On any
+  // failure (a batch that rejects, a worker that crashes or exits, an
+  // aborted options.signal, onBatch rejecting) the workers are terminated,
+  // so no work from this run reaches the next one, and the pool starts
+  // fresh workers when it is used again. A batch that rejects fails the run
+  // only once every batch before it has been handed to onBatch, so the
+  // failure reported is the first one in the range, as in a serial scan.
+  processRange(start, end, useCache = true, onBatch = () => {}, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    this.start();
+    const workers = this.workers;
+    const batches = new CollatzCalculator(this.calculatorConfig).generateRange(
+      start,
+      end
+    );
+    const merged = {
+      batches: [],
+      results: this.retainResults ? [] : undefined,
+      failures: [],
+      summary: {
+        count: 0,
+        totalSteps: 0,
+        maxSteps: 0,
+        maxStepsNumber: null,
+        cacheHits: 0,
+      },
+      workerCount: this.workerCount,
+    };
+    const completed = new Map();
+    const idle = [];
+    let nextIndex = 0;
+    let nextToMerge = 0;
+    let running = 0;
+    let exhausted = false;
+    let stopped = false;
+    let settled = false;
+    let merging = Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        settled = true;
+        for (const worker of workers) {
+          worker.removeAllListeners("message");
+          worker.removeAllListeners("error");
+          worker.removeAllListeners("exit");
+        }
+        if (signal) signal.removeEventListener("abort", abort);
+      };
+
+      const fail = (error) => {
+        if (settled) return;
+        cleanup();
+        this.terminate().then(
+          () => reject(error),
+          () => reject(error)
+        );
+      };
+
+      const abort = () => fail(signal.reason);
+      if (signal) signal.addEventListener("abort", abort, { once: true });
+
+      const finish = () => {
+        merging.then(() => {
+          if (settled) return;
+          cleanup();
+          resolve(merged);
+        });
+      };
+
+      const flush = () => {
+        while (completed.has(nextToMerge)) {
+          const batch = completed.get(nextToMerge);
+          completed.delete(nextToMerge);
+          nextToMerge++;
+          if (batch instanceof Error) {
+            merging = merging.then(() => fail(batch));
+            return;
+          }
+          merging = merging
+            .then(async () => {
+              if (settled) return;
+              this.mergeBatch(merged, batch);
+              await onBatch(batch);
+              // Workers held back while this batch was pending
+              idle.splice(0).forEach(dispatch);
+            })
+            .catch(fail);
+        }
+      };
+
+      const dispatch = (worker) => {
+        if (settled || stopped) return;
+        if (nextIndex - nextToMerge >= this.maxPendingBatches) {
+          idle.push(worker);
+          return;
+        }
+        const next = exhausted ? { done: true } : batches.next();
+        if (next.done) {
+          exhausted = true;
+          if (running === 0) finish();
+          return;
+        }
+        running++;
+        worker.postMessage({
+          index: nextIndex++,
+          start: next.value.start,
+          end: next.value.end,
+          useCache,
+        });
+      };
+
+      for (const worker of workers) {
+        worker.on("message", (batch) => {
+          running--;
+          if (batch.error) {
+            const error = new Error(
+              `Worker failed on batch ${batch.index}: ${batch.error}`
+            );
+            // Under the "abort" failure policy this names the number
+            error.failures = batch.failures;
+            // Batches after this one are wasted work; earlier ones still
+            // in flight finish and are merged first
+            stopped = true;
+            completed.set(batch.index, error);
+            flush();
+            return;
+          }
+          if (batch.results) {
+            // Structured cloning drops the class
+            for (const result of batch.results) {
+              if (result.parityVector) {
+                result.parityVector = ParityVector.from(result.parityVector);
+              }
+            }
+          }
+          completed.set(batch.index, batch);
+          flush();
+          dispatch(worker);
+        });
+        worker.on("error", fail);
+        worker.on("exit", (code) => {
+          fail(new Error(`Worker exited with code ${code} during a run`));
+        });
+      }
+
+      try {
+        workers.forEach(dispatch);
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  mergeBatch(merged, batch) {
+    const { summary } = merged;
+    summary.count += batch.summary.count;
+    summary.totalSteps += batch.summary.totalSteps;
+    summary.cacheHits += batch.summary.cacheHits;
+    if (
+      batch.summary.maxStepsNumber !== null &&
+      (batch.summary.maxSteps > summary.maxSteps ||
+        summary.maxStepsNumber === null)
+    ) {
+      summary.maxSteps = batch.summary.maxSteps;
+      summary.maxStepsNumber = batch.summary.maxStepsNumber;
+    }
+    merged.batches.push({
+      start: batch.start,
+      end: batch.end,
+      summary: batch.summary,
+      executionTime: batch.executionTime,
+    });
+    merged.failures.push(...batch.failures);
+    if (merged.results && batch.results) {
+      for (const result of batch.results) merged.results.push(result);
+    }
+  }
+
+  async terminate() {
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = { WorkerPool };
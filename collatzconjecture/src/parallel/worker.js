@@ -0,0 +1,58 @@
+// src/parallel/worker.js
+const { parentPort, workerData } = require("worker_threads");
+const { CollatzCalculator } = require("../core/CollatzCalculator");
+
+// Each worker owns its calculator, so caches are never shared across threads
+const calculator = new CollatzCalculator(workerData.calculatorConfig);
+
+function summarizeBatch(results) {
+  const summary = {
+    count: results.length,
+    totalSteps: 0,
+    maxSteps: 0,
+    maxStepsNumber: null,
+    cacheHits: 0,
+  };
+  for (const result of results) {
+    summary.totalSteps += result.steps;
+    if (result.steps > summary.maxSteps || summary.maxStepsNumber === null) {
+      summary.maxSteps = result.steps;
+      summary.maxStepsNumber = result.number;
+    }
+    if (result.cacheHit) summary.cacheHits++;
+  }
+  return summary;
+}
+
+parentPort.on("message", async (task) => {
+  const startTime = performance.now();
+  const failures = [];
+  try {
+    const results = await calculator.processBatch(
+      task.start,
+      task.end,
+      task.useCache,
+      {
+        onFailure: (failure) => failures.push(failure),
+        // Any onResult makes processBatch time each number, so collected
+        // rows carry timing like the ones of a single-threaded export
+        onResult: workerData.collectResults ? () => {} : undefined,
+      }
+    );
+    parentPort.postMessage({
+      index: task.index,
+      start: task.start,
+      end: task.end,
+      summary: summarizeBatch(results),
+      results: workerData.collectResults ? results : undefined,
+      failures,
+      executionTime: performance.now() - startTime,
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      index: task.index,
+      error: error.message,
+      failures,
+    });
+  }
+});
@@ -0,0 +1,55 @@
+// src/performance/BaselineStore.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { toJSONValue } = require("../core/Numeric");
+
+const BASELINE_SCHEMA_VERSION = 1;
+
+// Everything that can make two benchmark runs incomparable
+function collectMetadata() {
+  const cpus = os.cpus();
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    platform: process.platform,
+    arch: process.arch,
+    cpuModel: cpus.length > 0 ? cpus[0].model : "unknown",
+    cpuCount: cpus.length,
+    totalMemoryMB: Math.round(os.totalmem() / 1024 / 1024),
+    hostname: os.hostname(),
+    gcExposed: Boolean(global.gc),
+  };
+}
+
+class BaselineStore {
+  async save(report, filePath, label) {
+    const baseline = {
+      schemaVersion: BASELINE_SCHEMA_VERSION,
+      label: label || path.basename(filePath, ".json"),
+      createdAt: new Date().toISOString(),
+      metadata: collectMetadata(),
+      report,
+    };
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), {
+      recursive: true,
+    });
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify(baseline, (key, value) => toJSONValue(value), 2)
+    );
+    return baseline;
+  }
+
+  async load(filePath) {
+    const baseline = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    if (baseline.schemaVersion !== BASELINE_SCHEMA_VERSION) {
+      throw new Error(
+        `Baseline ${filePath} has schema version ${baseline.schemaVersion}, expected ${BASELINE_SCHEMA_VERSION}`
+      );
+    }
+    return baseline;
+  }
+}
+
+module.exports = { BaselineStore, BASELINE_SCHEMA_VERSION, collectMetadata };
@@ -1,133 +1,336 @@
 // src/performance/PerformanceAnalyzer.js
 const { PerformanceMonitor } = require("./PerformanceMonitor");
+const { WorkerPool } = require("../parallel/WorkerPool");
+const { CollatzCalculator } = require("../core/CollatzCalculator");
+const { CACHE_POLICIES } = require("../core/Cache");
+const { collectMetadata } = require("./BaselineStore");
+const { StrategyRegistry, calculatorRunner } = require("./StrategyRegistry");
+const { CollatzError } = require("../core/Errors");
+const { ProgressTracker } = require("../analysis/ProgressTracker");
+const {
+  mean,
+  welchTTest,
+  pairedTTest,
+  confidenceInterval,
+  rejectOutliers,
+  summarize,
+} = require("./Statistics");
 
 class PerformanceAnalyzer {
   constructor(options = {}) {
     this.monitor = new PerformanceMonitor();
-    this.sampleSize = options.sampleSize || 3; // Number of times to run each test for averaging
+    this.sampleSize = options.sampleSize || 3; // Minimum number of times to run each test
+    // More samples are taken until the confidence interval of the mean batch
+    // time is within targetPrecision of the mean, up to maxSamples
+    this.maxSamples = Math.max(options.maxSamples || 20, this.sampleSize);
+    this.confidenceLevel = options.confidenceLevel || 0.95;
+    this.targetPrecision = options.targetPrecision || 0.05;
+    this.outlierFactor = options.outlierFactor || 1.5;
     this.warmupRuns = options.warmupRuns || 1; // Number of warmup runs before actual measurements
+    this.log = options.silent ? () => {} : console.log;
+    this.significanceLevel = options.significanceLevel || 0.05;
+    // Relative slowdown or memory growth below this is never a regression
+    this.regressionThreshold = options.regressionThreshold || 0.05;
+    // Strategies compareStrategies can run; register more to plug them in
+    this.strategies = options.strategies || new StrategyRegistry();
   }
 
-  async compareImplementations(calculator, start, end) {
-    // Perform warmup runs to stabilize performance
-    await this.warmup(calculator, start, Math.min(start + 100, end));
+  // options.signal stops the run after the batch in progress; the report
+  // then covers the batches completed so far, as it does when a number fails
+  // under the "abort" failure policy. options.onProgress receives a
+  // ProgressTracker "batch" event after every batch.
+  async compareImplementations(calculator, start, end, options = {}) {
+    const runners = {
+      withCache: calculatorRunner(calculator, true),
+      withoutCache: calculatorRunner(calculator, false),
+    };
+    const pressure = this.watchMemoryPressure(calculator);
+    let run;
+    try {
+      run = await this.runStrategies(
+        runners,
+        calculator.generateRange(start, end),
+        start,
+        end,
+        options
+      );
+    } finally {
+      pressure.stop();
+    }
+    const report = this.generateDetailedReport(
+      run.results,
+      start,
+      run.completedEnd
+    );
+    report.analysisInfo.aborted = run.aborted;
+    report.analysisInfo.requestedRange = { start, end };
+    report.failures = this.collectFailures(run.results);
+    report.memoryPressure = pressure.summary();
+    return report;
+  }
 
-    const batches = Array.from(calculator.generateRange(start, end));
+  // Subscribes to the calculator's MemoryManager and logs every pressure
+  // event plus every time the cache limit grew back, with the limit each
+  // one left behind (the calculator's own listener has already run)
+  watchMemoryPressure(calculator) {
+    const manager = calculator.memoryManager;
+    const events = [];
+    let lastLimit = calculator.cache.maxSize;
+    let minimumLimit = lastLimit;
 
-    const results = {
-      withCache: {
-        totalTime: 0,
-        memoryProfile: [],
-        cacheHits: 0,
-        maxSteps: 0,
-        peakMemory: 0,
-        averageMemory: 0,
+    const record = (event) => {
+      const limit = calculator.cache.maxSize;
+      if (event.level === "normal" && limit === lastLimit) return;
+      events.push({
+        timestamp: event.timestamp,
+        level: event.level,
+        heapUsedMB: event.heapUsed / 1024 / 1024,
+        cacheLimit: limit,
+        cacheEntries: calculator.cache.size(),
+      });
+      lastLimit = limit;
+      minimumLimit = Math.min(minimumLimit, limit);
+    };
+    manager.on("pressure", record);
+    manager.on("available", record);
+
+    return {
+      stop() {
+        manager.off("pressure", record);
+        manager.off("available", record);
       },
-      withoutCache: {
+      summary: () => ({
+        softThresholdMB: manager.warningThreshold / 1024 / 1024,
+        hardThresholdMB: manager.hardThreshold / 1024 / 1024,
+        softEvents: events.filter((e) => e.level === "soft").length,
+        hardEvents: events.filter((e) => e.level === "hard").length,
+        regrowths: events.filter((e) => e.level === "normal").length,
+        configuredCacheSize: calculator.cacheCapacity,
+        minimumCacheLimit: minimumLimit,
+        finalCacheLimit: calculator.cache.maxSize,
+        events,
+      }),
+    };
+  }
+
+  // Benchmarks any number of registered strategies over the same batches
+  // and ranks them against the fastest
+  async compareStrategies(
+    calculatorConfig,
+    start,
+    end,
+    names = this.strategies.names(),
+    options = {}
+  ) {
+    const runners = {};
+    for (const name of names) {
+      runners[name] = this.strategies.create(name, calculatorConfig);
+    }
+    const run = await this.runStrategies(
+      runners,
+      new CollatzCalculator(calculatorConfig).generateRange(start, end),
+      start,
+      end,
+      options
+    );
+    const report = this.generateStrategyReport(
+      run.results,
+      start,
+      run.completedEnd
+    );
+    report.analysisInfo.aborted = run.aborted;
+    report.analysisInfo.requestedRange = { start, end };
+    report.failures = this.collectFailures(run.results);
+    return report;
+  }
+
+  // Measures every runner on every batch. Resolves to { results, aborted,
+  // completedEnd } where results holds one metrics accumulator per runner
+  // name. A runner rejecting with a CollatzError (its failure policy is
+  // "abort") ends the run like an aborted signal does; either before the
+  // first batch completes rejects instead.
+  async runStrategies(runners, batches, start, end, options = {}) {
+    const { signal, onProgress } = options;
+    // Perform warmup runs to stabilize performance
+    await this.warmup(runners, start, Math.min(start + 100, end), signal);
+
+    const results = {};
+    for (const name of Object.keys(runners)) {
+      results[name] = {
         totalTime: 0,
+        timeProfile: [],
+        sampleTimes: [],
+        samplesTaken: 0,
+        outliersRejected: 0,
         memoryProfile: [],
+        runtimes: [],
+        cacheStatistics: [],
+        failures: [],
+        cacheHits: 0,
         maxSteps: 0,
         peakMemory: 0,
         averageMemory: 0,
-      },
-    };
+      };
+    }
+
+    const tracker = new ProgressTracker(start, end);
+    let completedEnd = null;
+    let aborted = false;
 
     // Process batches with multiple samples for more accurate measurements
-    for (const batch of batches) {
-      const batchMetrics = await this.processBatchWithSamples(
-        calculator,
-        batch
-      );
+    try {
+      for (const batch of batches) {
+        const batchMetrics = await this.processBatchWithSamples(
+          runners,
+          batch,
+          signal
+        );
 
-      // Update metrics for cached results
-      this.updateMetrics(results.withCache, batchMetrics.withCache);
-      this.updateMetrics(results.withoutCache, batchMetrics.withoutCache);
+        const timings = {};
+        let rows = null;
+        for (const [name, metrics] of Object.entries(batchMetrics)) {
+          this.updateMetrics(results[name], metrics);
+          timings[name] = {
+            memory: `${metrics.memoryUsed.toFixed(2)}MB`,
+            time: `${metrics.executionTime.toFixed(2)}ms`,
+          };
+          rows = rows || metrics.results;
+        }
+        completedEnd = batch.end;
 
-      // Log progress with memory information
-      console.log(`Processed batch ${batch.start}-${batch.end}:`, {
-        withCache: {
-          memory: `${batchMetrics.withCache.memoryUsed.toFixed(2)}MB`,
-          time: `${batchMetrics.withCache.executionTime.toFixed(2)}ms`,
-        },
-        withoutCache: {
-          memory: `${batchMetrics.withoutCache.memoryUsed.toFixed(2)}MB`,
-          time: `${batchMetrics.withoutCache.executionTime.toFixed(2)}ms`,
-        },
-      });
+        // Log progress with memory information
+        this.log(`Processed batch ${batch.start}-${batch.end}:`, timings);
+        if (rows) rows.forEach((row) => tracker.observe(row));
+        const event = tracker.batchDone(batch);
+        if (onProgress) onProgress(event);
+      }
+    } catch (error) {
+      const failed = error instanceof CollatzError;
+      if (!(failed || (signal && signal.aborted)) || completedEnd === null) {
+        throw error;
+      }
+      aborted = true;
+      if (failed) {
+        // The failing batch is not reported, but the number that stopped
+        // the run is
+        for (const [name, runner] of Object.entries(runners)) {
+          if (runner.failures)
+            results[name].failures.push(...runner.failures());
+        }
+        this.log(`${error.name} at ${error.number}: ${error.message}`);
+      }
+      this.log(`Aborted; reporting the batches up to ${completedEnd}`);
     }
 
-    return this.generateDetailedReport(results, start, end);
+    return { results, aborted, completedEnd };
   }
 
-  async warmup(calculator, start, end) {
-    console.log(`Performing ${this.warmupRuns} warmup runs...`);
+  async warmup(runners, start, end, signal) {
+    this.log(`Performing ${this.warmupRuns} warmup runs...`);
     for (let i = 0; i < this.warmupRuns; i++) {
-      await calculator.processBatch(start, end, true);
-      await calculator.processBatch(start, end, false);
+      for (const runner of Object.values(runners)) {
+        await runner.run(start, end, signal);
+        runner.reset();
+      }
       if (global.gc) global.gc();
     }
   }
 
-  async processBatchWithSamples(calculator, batch) {
-    const metrics = {
-      withCache: { samples: [] },
-      withoutCache: { samples: [] },
-    };
-
-    for (let i = 0; i < this.sampleSize; i++) {
-      // Clear any existing cache before each sample
-      calculator.cache.clear();
-      if (global.gc) global.gc();
-
-      // Measure with cache
-      const withCacheResults = await this.monitor.measure(() =>
-        calculator.processBatch(batch.start, batch.end, true)
-      );
+  async processBatchWithSamples(runners, batch, signal) {
+    const samples = {};
+    Object.keys(runners).forEach((name) => {
+      samples[name] = [];
+    });
 
-      // Clear cache and force GC before non-cache test
-      calculator.cache.clear();
-      if (global.gc) global.gc();
+    for (let i = 0; i < this.maxSamples; i++) {
+      if (
+        i >= this.sampleSize &&
+        Object.values(samples).every((s) => this.isPreciseEnough(s))
+      ) {
+        break;
+      }
 
-      // Measure without cache
-      const withoutCacheResults = await this.monitor.measure(() =>
-        calculator.processBatch(batch.start, batch.end, false)
-      );
+      for (const [name, runner] of Object.entries(runners)) {
+        // Clear any existing cache and force GC before each sample
+        runner.reset();
+        if (global.gc) global.gc();
 
-      metrics.withCache.samples.push(withCacheResults);
-      metrics.withoutCache.samples.push(withoutCacheResults);
+        const measurement = await this.monitor.measure(() =>
+          runner.run(batch.start, batch.end, signal)
+        );
+        // Only the first sample's rows are analysed; dropping the others
+        // keeps memory flat however many samples a batch ends up needing
+        if (samples[name].length > 0) {
+          measurement.results = null;
+        } else {
+          if (runner.stats) measurement.cacheStatistics = runner.stats();
+          if (runner.failures) measurement.failures = runner.failures();
+        }
+        samples[name].push(measurement);
+      }
     }
 
     // Calculate averages
-    return {
-      withCache: this.calculateAverageMetrics(metrics.withCache.samples),
-      withoutCache: this.calculateAverageMetrics(metrics.withoutCache.samples),
-    };
+    const metrics = {};
+    for (const [name, taken] of Object.entries(samples)) {
+      metrics[name] = this.calculateAverageMetrics(taken);
+    }
+    return metrics;
+  }
+
+  isPreciseEnough(samples) {
+    const { kept } = rejectOutliers(
+      samples.map((s) => s.executionTime),
+      this.outlierFactor
+    );
+    return (
+      confidenceInterval(kept, this.confidenceLevel).relativeHalfWidth <=
+      this.targetPrecision
+    );
   }
 
   calculateAverageMetrics(samples) {
-    const avgExecutionTime =
-      samples.reduce((acc, s) => acc + s.executionTime, 0) / samples.length;
+    // Timing outliers (GC pauses, scheduler hiccups) are dropped before
+    // averaging; memory readings are kept as they are
+    const { kept, rejected } = rejectOutliers(
+      samples.map((s) => s.executionTime),
+      this.outlierFactor
+    );
+    const avgExecutionTime = mean(kept);
     const avgMemoryUsed =
       samples.reduce((acc, s) => acc + s.memoryUsed, 0) / samples.length;
-    const peakMemoryUsed = Math.max(...samples.map((s) => s.memoryUsed));
+    const peakMemoryUsed = Math.max(...samples.map((s) => s.peakMemoryUsed));
 
     const cacheHits =
-      samples.reduce((acc, s) => {
-        return acc + (s.results?.filter((r) => r.cacheHit)?.length || 0);
-      }, 0) / samples.length;
+      samples[0].results?.filter((r) => r.cacheHit)?.length || 0;
 
     return {
       executionTime: avgExecutionTime,
       memoryUsed: avgMemoryUsed,
       peakMemoryUsed: peakMemoryUsed,
       cacheHits: cacheHits,
+      sampleTimes: kept,
+      samplesTaken: samples.length,
+      outliersRejected: rejected.length,
+      runtime: PerformanceMonitor.combineRuntime(samples.map((s) => s.runtime)),
+      cacheStatistics: samples[0].cacheStatistics,
+      failures: samples[0].failures || [],
       results: samples[0].results, // Use first sample's results for analysis
     };
   }
 
   updateMetrics(metrics, batchMetrics) {
     metrics.totalTime += batchMetrics.executionTime;
+    metrics.timeProfile.push(batchMetrics.executionTime);
+    metrics.sampleTimes.push(batchMetrics.sampleTimes);
+    metrics.samplesTaken += batchMetrics.samplesTaken;
+    metrics.outliersRejected += batchMetrics.outliersRejected;
     metrics.memoryProfile.push(batchMetrics.memoryUsed);
+    metrics.runtimes.push(batchMetrics.runtime);
+    if (batchMetrics.cacheStatistics) {
+      metrics.cacheStatistics.push(batchMetrics.cacheStatistics);
+    }
+    metrics.failures.push(...batchMetrics.failures);
     metrics.peakMemory = Math.max(
       metrics.peakMemory,
       batchMetrics.peakMemoryUsed
@@ -160,6 +363,10 @@ class PerformanceAnalyzer {
         totalNumbers: count,
         numberOfBatches: numBatches,
         samplesPerBatch: this.sampleSize,
+        maxSamplesPerBatch: this.maxSamples,
+        averageSamplesPerBatch: results.withCache.samplesTaken / numBatches,
+        confidenceLevel: this.confidenceLevel,
+        targetPrecision: this.targetPrecision,
         warmupRuns: this.warmupRuns,
       },
       withCache: {
@@ -168,19 +375,41 @@ class PerformanceAnalyzer {
         averageMemory: results.withCache.averageMemory,
         cacheHitRate: (results.withCache.cacheHits / count) * 100,
         maxSteps: results.withCache.maxSteps,
+        timeProfile: results.withCache.timeProfile,
+        timeStatistics: summarize(
+          results.withCache.timeProfile,
+          this.confidenceLevel
+        ),
+        samplesTaken: results.withCache.samplesTaken,
+        outliersRejected: results.withCache.outliersRejected,
         memoryProfile: results.withCache.memoryProfile,
+        runtime: PerformanceMonitor.combineRuntime(results.withCache.runtimes),
+        cacheStatistics: this.summarizeCacheStatistics(
+          results.withCache.cacheStatistics
+        ),
       },
       withoutCache: {
         averageTime: results.withoutCache.totalTime / count,
         peakMemory: results.withoutCache.peakMemory,
         averageMemory: results.withoutCache.averageMemory,
         maxSteps: results.withoutCache.maxSteps,
+        timeProfile: results.withoutCache.timeProfile,
+        timeStatistics: summarize(
+          results.withoutCache.timeProfile,
+          this.confidenceLevel
+        ),
+        samplesTaken: results.withoutCache.samplesTaken,
+        outliersRejected: results.withoutCache.outliersRejected,
         memoryProfile: results.withoutCache.memoryProfile,
+        runtime: PerformanceMonitor.combineRuntime(
+          results.withoutCache.runtimes
+        ),
       },
       improvements: {
         speedup: results.withoutCache.totalTime / results.withCache.totalTime,
         memoryReduction:
           results.withoutCache.averageMemory - results.withCache.averageMemory,
+        significance: this.testSpeedup(results.withoutCache, results.withCache),
       },
     };
 
@@ -197,19 +426,359 @@ class PerformanceAnalyzer {
     return report;
   }
 
-  calculateMemoryEfficiencyMetrics(memoryProfile) {
-    const sorted = [...memoryProfile].sort((a, b) => a - b);
-    const median = sorted[Math.floor(sorted.length / 2)];
-    const variance =
-      memoryProfile.reduce((acc, val) => acc + Math.pow(val - median, 2), 0) /
-      memoryProfile.length;
+  generateStrategyReport(results, start, end) {
+    const count = end - start + 1;
+    const names = Object.keys(results);
+    const numBatches = results[names[0]].memoryProfile.length;
+    const samplesTaken = names.reduce(
+      (acc, name) => acc + results[name].samplesTaken,
+      0
+    );
+
+    const fastest = names.reduce((best, name) =>
+      results[name].totalTime < results[best].totalTime ? name : best
+    );
 
+    const strategies = names.map((name) => {
+      const metrics = results[name];
+      return {
+        name,
+        description: this.strategies.has(name)
+          ? this.strategies.get(name).description
+          : undefined,
+        totalTime: metrics.totalTime,
+        averageTime: metrics.totalTime / count,
+        relativeTime: metrics.totalTime / results[fastest].totalTime,
+        peakMemory: metrics.peakMemory,
+        averageMemory: metrics.averageMemory,
+        cacheHitRate: (metrics.cacheHits / count) * 100,
+        maxSteps: metrics.maxSteps,
+        timeProfile: metrics.timeProfile,
+        timeStatistics: summarize(metrics.timeProfile, this.confidenceLevel),
+        samplesTaken: metrics.samplesTaken,
+        outliersRejected: metrics.outliersRejected,
+        memoryProfile: metrics.memoryProfile,
+        runtime: PerformanceMonitor.combineRuntime(metrics.runtimes),
+        cacheStatistics: this.summarizeCacheStatistics(metrics.cacheStatistics),
+        memoryEfficiency: this.calculateMemoryEfficiencyMetrics(
+          metrics.memoryProfile
+        ),
+        // How much slower than the fastest strategy, and whether that holds up
+        versusFastest:
+          name === fastest ? null : this.testSpeedup(metrics, results[fastest]),
+      };
+    });
+
+    return {
+      analysisInfo: {
+        processedRange: { start, end },
+        totalNumbers: count,
+        numberOfBatches: numBatches,
+        samplesPerBatch: this.sampleSize,
+        maxSamplesPerBatch: this.maxSamples,
+        averageSamplesPerBatch: samplesTaken / names.length / numBatches,
+        confidenceLevel: this.confidenceLevel,
+        targetPrecision: this.targetPrecision,
+        warmupRuns: this.warmupRuns,
+      },
+      strategies,
+      fastest,
+    };
+  }
+
+  // Runs the same range through one fresh calculator per eviction policy
+  async benchmarkCachePolicies(
+    calculatorConfig,
+    start,
+    end,
+    policies = Object.keys(CACHE_POLICIES)
+  ) {
+    const count = end - start + 1;
+    const results = [];
+
+    for (const policy of policies) {
+      const samples = [];
+      for (let i = 0; i < this.sampleSize; i++) {
+        const calculator = new CollatzCalculator({
+          ...calculatorConfig,
+          cachePolicy: policy,
+        });
+        if (global.gc) global.gc();
+        samples.push(
+          await this.monitor.measure(async () => {
+            let cacheHits = 0;
+            let maxSteps = 0;
+            for (const batch of calculator.generateRange(start, end)) {
+              const batchResults = await calculator.processBatch(
+                batch.start,
+                batch.end,
+                true
+              );
+              batchResults.forEach((result) => {
+                if (result.cacheHit) cacheHits++;
+                maxSteps = Math.max(maxSteps, result.steps);
+              });
+            }
+            return {
+              cacheHits,
+              maxSteps,
+              cacheStatistics: calculator.getCacheStatistics(),
+            };
+          })
+        );
+      }
+
+      const averageOf = (field) =>
+        samples.reduce((acc, s) => acc + s[field], 0) / samples.length;
+      results.push({
+        policy,
+        averageTime: averageOf("executionTime") / count,
+        totalTime: averageOf("executionTime"),
+        averageMemory: averageOf("memoryUsed"),
+        peakMemory: Math.max(...samples.map((s) => s.peakMemoryUsed)),
+        cacheHitRate: (samples[0].results.cacheHits / count) * 100,
+        maxSteps: samples[0].results.maxSteps,
+        cacheStatistics: this.summarizeCacheStatistics([
+          samples[0].results.cacheStatistics,
+        ]),
+        runtime: PerformanceMonitor.combineRuntime(
+          samples.map((s) => s.runtime)
+        ),
+      });
+    }
+
+    const fastest = results.reduce((best, r) =>
+      r.totalTime < best.totalTime ? r : best
+    );
+    results.forEach((r) => {
+      r.relativeTime = r.totalTime / fastest.totalTime;
+    });
+
+    return {
+      processedRange: { start, end },
+      cacheSize: calculatorConfig.cacheSize,
+      samplesPerPolicy: this.sampleSize,
+      policies: results,
+      fastest: fastest.policy,
+    };
+  }
+
+  // Scans the range once per worker count; speedup is relative to the
+  // single-worker run so pool overhead is included on both sides
+  async measureParallelSpeedup(calculatorConfig, start, end, workerCounts) {
+    const counts = [...new Set([1, ...workerCounts])].sort((a, b) => a - b);
+    const runs = [];
+
+    for (const workerCount of counts) {
+      const pool = new WorkerPool({
+        workerCount,
+        calculatorConfig,
+        collectResults: false,
+      });
+      try {
+        pool.start();
+        const measurement = await this.monitor.measure(() =>
+          pool.processRange(start, end, true)
+        );
+        runs.push({
+          workers: workerCount,
+          executionTime: measurement.executionTime,
+          numbersPerSecond:
+            measurement.results.summary.count /
+            (measurement.executionTime / 1000),
+          maxSteps: measurement.results.summary.maxSteps,
+          maxStepsNumber: measurement.results.summary.maxStepsNumber,
+          runtime: measurement.runtime,
+        });
+      } finally {
+        await pool.terminate();
+      }
+    }
+
+    const baseline = runs[0].executionTime;
+    runs.forEach((run) => {
+      run.speedup = baseline / run.executionTime;
+      run.efficiency = (run.speedup / run.workers) * 100;
+    });
+
+    return {
+      processedRange: { start, end },
+      runs,
+      bestSpeedup: Math.max(...runs.map((run) => run.speedup)),
+    };
+  }
+
+  // Is `faster` really faster? With several batches the per-batch times are
+  // paired and the speedup interval comes from their log ratios; a single
+  // batch falls back to Welch's t-test on its individual samples.
+  testSpeedup(slower, faster) {
+    const fasterTimes = faster.timeProfile;
+    const slowerTimes = slower.timeProfile;
+
+    if (fasterTimes.length >= 2) {
+      const test = pairedTTest(slowerTimes, fasterTimes);
+      const logRatios = fasterTimes.map((time, i) =>
+        Math.log(slowerTimes[i] / time)
+      );
+      const interval = confidenceInterval(logRatios, this.confidenceLevel);
+      return {
+        test: "paired-t",
+        t: test.t,
+        pValue: test.pValue,
+        significant: test.pValue < this.significanceLevel,
+        speedupInterval: {
+          lower: Math.exp(interval.lower),
+          upper: Math.exp(interval.upper),
+          confidence: this.confidenceLevel,
+        },
+      };
+    }
+
+    const test = welchTTest(slower.sampleTimes[0], faster.sampleTimes[0]);
+    return {
+      test: "welch-t",
+      t: test.t,
+      pValue: test.pValue,
+      significant: test.pValue < this.significanceLevel,
+      speedupInterval: null,
+    };
+  }
+
+  // Diffs a report from compareImplementations against a stored baseline.
+  // Per-batch times and memory readings are the samples; when both runs
+  // cover the same batches they are compared pairwise, otherwise with
+  // Welch's t-test. A metric regresses when it got worse by more than
+  // regressionThreshold and the difference is significant.
+  compareWithBaseline(baseline, report) {
+    const sameBatches =
+      String(baseline.report.analysisInfo.processedRange.start) ===
+        String(report.analysisInfo.processedRange.start) &&
+      String(baseline.report.analysisInfo.processedRange.end) ===
+        String(report.analysisInfo.processedRange.end) &&
+      baseline.report.analysisInfo.numberOfBatches ===
+        report.analysisInfo.numberOfBatches;
+
+    const metrics = [];
+    for (const variant of ["withCache", "withoutCache"]) {
+      for (const [metric, profile] of [
+        ["time", "timeProfile"],
+        ["memory", "memoryProfile"],
+      ]) {
+        const before = baseline.report[variant][profile];
+        const after = report[variant][profile];
+        if (!before || !after || before.length < 2 || after.length < 2) {
+          continue;
+        }
+        const test = sameBatches
+          ? pairedTTest(before, after)
+          : welchTTest(before, after);
+        const baselineMean = mean(before);
+        const currentMean = mean(after);
+        const relativeChange =
+          baselineMean === 0 ? 0 : (currentMean - baselineMean) / baselineMean;
+        const significant = test.pValue < this.significanceLevel;
+        metrics.push({
+          name: `${variant}.${metric}`,
+          baseline: baselineMean,
+          current: currentMean,
+          relativeChange,
+          test: sameBatches ? "paired-t" : "welch-t",
+          pValue: test.pValue,
+          significant,
+          regression: significant && relativeChange > this.regressionThreshold,
+          improvement:
+            significant && relativeChange < -this.regressionThreshold,
+        });
+      }
+    }
+
+    const current = collectMetadata();
+    const environmentDifferences = Object.keys(current)
+      .filter((key) => baseline.metadata[key] !== current[key])
+      .map((key) => ({
+        key,
+        baseline: baseline.metadata[key],
+        current: current[key],
+      }));
+
+    return {
+      baseline: { label: baseline.label, createdAt: baseline.createdAt },
+      comparable: sameBatches,
+      significanceLevel: this.significanceLevel,
+      regressionThreshold: this.regressionThreshold,
+      environmentDifferences,
+      metrics,
+      regressions: metrics.filter((m) => m.regression).map((m) => m.name),
+    };
+  }
+
+  // One row per number, reason and action across all runners, with the
+  // runners it failed under in failedIn
+  collectFailures(results) {
+    const rows = new Map();
+    for (const [name, metrics] of Object.entries(results)) {
+      metrics.failures.forEach((failure) => {
+        const key = `${failure.number}:${failure.code}:${failure.action}`;
+        if (!rows.has(key)) rows.set(key, { ...failure, failedIn: [] });
+        const row = rows.get(key);
+        if (!row.failedIn.includes(name)) row.failedIn.push(name);
+      });
+    }
+    return [...rows.values()];
+  }
+
+  // Sums the counters of several CollatzCalculator#getCacheStatistics
+  // snapshots and derives the rates used to tune cacheSize. A high eviction
+  // rate with few intermediate hits points at a cache that is too small; low
+  // utilization at one that is larger than the range needs.
+  summarizeCacheStatistics(snapshots) {
+    if (snapshots.length === 0) return null;
+    const sum = (field) => snapshots.reduce((acc, s) => acc + s[field], 0);
+    const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+    const fullHits = sum("fullHits");
+    const intermediateHits = sum("intermediateHits");
+    const misses = sum("misses");
+    const lookups = fullHits + intermediateHits + misses;
+    const stepsSaved = sum("stepsSaved");
+    const insertions = sum("insertions");
+    const evictions = sum("evictions");
+
+    return {
+      lookups,
+      fullHits,
+      intermediateHits,
+      misses,
+      stepsSaved,
+      insertions,
+      evictions,
+      clears: sum("clears"),
+      pressureShrinks: sum("pressureShrinks"),
+      pressureEvictions: sum("pressureEvictions"),
+      fullHitRate: percent(fullHits, lookups),
+      intermediateHitRate: percent(intermediateHits, lookups),
+      missRate: percent(misses, lookups),
+      averageStepsSaved:
+        intermediateHits > 0 ? stepsSaved / intermediateHits : 0,
+      evictionRate: percent(evictions, insertions),
+      utilization: mean(snapshots.map((s) => percent(s.size, s.maxSize))),
+      capacity: snapshots[snapshots.length - 1].capacity,
+      finalMaxSize: snapshots[snapshots.length - 1].maxSize,
+      denseEntries: snapshots[snapshots.length - 1].denseEntries,
+    };
+  }
+
+  calculateMemoryEfficiencyMetrics(memoryProfile) {
+    const statistics = summarize(memoryProfile, this.confidenceLevel);
     return {
-      median,
-      standardDeviation: Math.sqrt(variance),
-      min: Math.min(...memoryProfile),
-      max: Math.max(...memoryProfile),
-      stability: (1 - Math.sqrt(variance) / median) * 100, // Memory stability score as percentage
+      median: statistics.p50,
+      mean: statistics.mean,
+      standardDeviation: statistics.standardDeviation,
+      coefficientOfVariation: statistics.coefficientOfVariation,
+      min: statistics.min,
+      max: statistics.max,
+      p95: statistics.p95,
+      confidenceInterval: statistics.confidenceInterval,
     };
   }
 }
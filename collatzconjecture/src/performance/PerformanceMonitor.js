@@ -1,73 +1,228 @@
 // src/performance/PerformanceMonitor.js
+const {
+  PerformanceObserver,
+  monitorEventLoopDelay,
+  constants,
+} = require("perf_hooks");
+
+const MB = 1024 * 1024;
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: "weakcb",
+};
+
 class PerformanceMonitor {
-    constructor() {
+    constructor(options = {}) {
       this.metrics = new Map();
       this.baselineMemory = process.memoryUsage().heapUsed;
       this.measurements = [];
+      // Memory is sampled on this timer while a measurement runs; the
+      // calculator yields to the event loop often enough for it to fire
+      this.sampleInterval = options.sampleInterval || 5; // ms
+      this.eventLoopResolution = options.eventLoopResolution || 10; // ms
     }
-  
+
     start() {
       // Force garbage collection if available
       if (global.gc) {
         global.gc();
       }
-      
+
+      this.peaks = { heapUsed: 0, rss: 0, external: 0 };
+      this.memorySamples = 0;
+      this.sample();
+      this.sampler = setInterval(() => this.sample(), this.sampleInterval);
+      this.sampler.unref();
+
+      this.gcEntries = [];
+      this.gcObserver = new PerformanceObserver((list) => {
+        this.gcEntries.push(...list.getEntries());
+      });
+      this.gcObserver.observe({ entryTypes: ["gc"] });
+
+      this.eventLoopDelay = monitorEventLoopDelay({
+        resolution: this.eventLoopResolution,
+      });
+      this.eventLoopDelay.enable();
+
+      this.startMaxRss = process.resourceUsage().maxRSS * 1024;
+      this.startCpu = process.cpuUsage();
       this.startTime = performance.now();
-      // Take multiple samples to get a more accurate baseline
-      this.memoryBaseline = this.getAverageMemoryUsage(5);
       return this;
     }
-  
-    getAverageMemoryUsage(samples = 5) {
-      const measurements = [];
-      for (let i = 0; i < samples; i++) {
-        measurements.push(process.memoryUsage().heapUsed);
-        // Small delay between measurements
-        for(let j = 0; j < 1000000; j++) {} // Minor delay
-      }
-      return measurements.reduce((a, b) => a + b, 0) / measurements.length;
+
+    sample() {
+      const usage = process.memoryUsage();
+      this.peaks.heapUsed = Math.max(this.peaks.heapUsed, usage.heapUsed);
+      this.peaks.rss = Math.max(this.peaks.rss, usage.rss);
+      this.peaks.external = Math.max(this.peaks.external, usage.external);
+      this.memorySamples++;
+      return usage;
     }
-  
-    end() {
+
+    async end() {
       const endTime = performance.now();
-      
+      const cpu = process.cpuUsage(this.startCpu);
+      clearInterval(this.sampler);
+      const endUsage = this.sample();
+
+      // GC entries are delivered asynchronously; one turn of the event loop
+      // flushes the ones from the measured run
+      await new Promise((resolve) => setImmediate(resolve));
+      this.gcObserver.disconnect();
+      this.eventLoopDelay.disable();
+
+      // maxRSS is the process-wide high-water mark, so it only says
+      // something about this run when the run raised it
+      const maxRss = process.resourceUsage().maxRSS * 1024;
+      if (maxRss > this.startMaxRss) {
+        this.peaks.rss = Math.max(this.peaks.rss, maxRss);
+      }
+
       // Force garbage collection if available
       if (global.gc) {
         global.gc();
       }
-      
-      // Take multiple samples at the end
-      const endMemory = this.getAverageMemoryUsage(5);
-      
+
+      const endMemory = process.memoryUsage().heapUsed;
+
       // Calculate the absolute memory usage rather than the difference
       const memoryUsed = Math.max(0, endMemory - this.baselineMemory);
-      
+      const executionTime = endTime - this.startTime;
+
       return {
-        executionTime: endTime - this.startTime,
-        memoryUsed: memoryUsed / 1024 / 1024, // Convert to MB
-        peakMemoryUsed: Math.max(0, (process.memoryUsage().heapUsed - this.baselineMemory)) / 1024 / 1024,
+        executionTime,
+        memoryUsed: memoryUsed / MB, // Convert to MB
+        peakMemoryUsed: Math.max(0, this.peaks.heapUsed - this.baselineMemory) / MB,
+        runtime: {
+          memory: {
+            peakHeapMB: this.peaks.heapUsed / MB,
+            peakRssMB: this.peaks.rss / MB,
+            peakExternalMB: this.peaks.external / MB,
+            endHeapMB: endUsage.heapUsed / MB,
+            samples: this.memorySamples,
+          },
+          cpu: {
+            userMs: cpu.user / 1000,
+            systemMs: cpu.system / 1000,
+            utilization: executionTime > 0 ? (cpu.user + cpu.system) / 1000 / executionTime : 0,
+          },
+          eventLoopDelay: this.summarizeEventLoopDelay(this.eventLoopDelay),
+          gc: this.summarizeGc(this.gcEntries),
+        },
         timestamp: new Date(),
       };
     }
-  
+
+    // Histogram values are in nanoseconds and include the sampling timer's
+    // own interval, which is subtracted so an idle loop reads as 0ms. An
+    // empty histogram means the event loop never got a turn, so there is
+    // nothing to report and every delay is null.
+    summarizeEventLoopDelay(histogram, resolutionMs = this.eventLoopResolution) {
+      if (histogram.count === 0) {
+        return { count: 0, minMs: null, maxMs: null, meanMs: null, stddevMs: null, p50Ms: null, p90Ms: null, p99Ms: null };
+      }
+      const delayMs = (ns) => Math.max(0, ns / 1e6 - resolutionMs);
+      return {
+        count: histogram.count,
+        minMs: delayMs(histogram.min),
+        maxMs: delayMs(histogram.max),
+        meanMs: delayMs(histogram.mean),
+        stddevMs: histogram.stddev / 1e6,
+        p50Ms: delayMs(histogram.percentile(50)),
+        p90Ms: delayMs(histogram.percentile(90)),
+        p99Ms: delayMs(histogram.percentile(99)),
+      };
+    }
+
+    summarizeGc(entries) {
+      const byKind = {};
+      Object.values(GC_KINDS).forEach((kind) => {
+        byKind[kind] = { count: 0, totalPauseMs: 0 };
+      });
+      let totalPauseMs = 0;
+      let maxPauseMs = 0;
+      entries.forEach((entry) => {
+        const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || "other";
+        byKind[kind] = byKind[kind] || { count: 0, totalPauseMs: 0 };
+        byKind[kind].count++;
+        byKind[kind].totalPauseMs += entry.duration;
+        totalPauseMs += entry.duration;
+        maxPauseMs = Math.max(maxPauseMs, entry.duration);
+      });
+      return { count: entries.length, totalPauseMs, maxPauseMs, byKind };
+    }
+
+    // Folds the runtime metrics of several measurements into one: peaks and
+    // maxima are maximised, times and counts are summed, and event loop
+    // delay means are weighted by their sample counts
+    static combineRuntime(runtimes) {
+      const combined = {
+        memory: { peakHeapMB: 0, peakRssMB: 0, peakExternalMB: 0, samples: 0 },
+        cpu: { userMs: 0, systemMs: 0 },
+        eventLoopDelay: { count: 0, maxMs: 0, meanMs: 0, p99Ms: 0 },
+        gc: { count: 0, totalPauseMs: 0, maxPauseMs: 0, byKind: {} },
+        measurements: runtimes.length,
+      };
+      let delayTotal = 0;
+      runtimes.forEach((runtime) => {
+        const { memory, cpu, eventLoopDelay, gc } = runtime;
+        combined.memory.peakHeapMB = Math.max(combined.memory.peakHeapMB, memory.peakHeapMB);
+        combined.memory.peakRssMB = Math.max(combined.memory.peakRssMB, memory.peakRssMB);
+        combined.memory.peakExternalMB = Math.max(combined.memory.peakExternalMB, memory.peakExternalMB);
+        combined.memory.samples += memory.samples;
+        combined.cpu.userMs += cpu.userMs;
+        combined.cpu.systemMs += cpu.systemMs;
+        combined.eventLoopDelay.count += eventLoopDelay.count;
+        if (eventLoopDelay.count > 0) {
+          combined.eventLoopDelay.maxMs = Math.max(combined.eventLoopDelay.maxMs, eventLoopDelay.maxMs);
+          combined.eventLoopDelay.p99Ms = Math.max(combined.eventLoopDelay.p99Ms, eventLoopDelay.p99Ms);
+          delayTotal += eventLoopDelay.meanMs * eventLoopDelay.count;
+        }
+        combined.gc.count += gc.count;
+        combined.gc.totalPauseMs += gc.totalPauseMs;
+        combined.gc.maxPauseMs = Math.max(combined.gc.maxPauseMs, gc.maxPauseMs);
+        Object.entries(gc.byKind).forEach(([kind, stats]) => {
+          const total = combined.gc.byKind[kind] || { count: 0, totalPauseMs: 0 };
+          total.count += stats.count;
+          total.totalPauseMs += stats.totalPauseMs;
+          combined.gc.byKind[kind] = total;
+        });
+      });
+      if (combined.eventLoopDelay.count > 0) {
+        combined.eventLoopDelay.meanMs = delayTotal / combined.eventLoopDelay.count;
+      } else {
+        combined.eventLoopDelay = { count: 0, maxMs: null, meanMs: null, p99Ms: null };
+      }
+      return combined;
+    }
+
     async measure(fn) {
       this.start();
-      const results = await fn();
-      const metrics = this.end();
-  
+      let results;
+      let metrics;
+      try {
+        results = await fn();
+      } finally {
+        // Stop the sampler and observer even when fn throws
+        metrics = await this.end();
+      }
+
       // Store the measurement
       this.measurements.push({
         timestamp: metrics.timestamp,
         memoryUsed: metrics.memoryUsed,
         executionTime: metrics.executionTime
       });
-  
+
       return {
         results,
         ...metrics
       };
     }
-  
+
     getMemoryProfile() {
       return {
         measurements: this.measurements,
@@ -77,5 +232,5 @@ class PerformanceMonitor {
       };
     }
   }
-  
-  module.exports = { PerformanceMonitor };
\ No newline at end of file
+
+  module.exports = { PerformanceMonitor };
@@ -0,0 +1,236 @@
+// src/performance/Statistics.js
+function mean(values) {
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+}
+
+// Sample variance (n - 1 denominator)
+function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return (
+    values.reduce((acc, v) => acc + Math.pow(v - m, 2), 0) / (values.length - 1)
+  );
+}
+
+function standardDeviation(values) {
+  return Math.sqrt(variance(values));
+}
+
+function logGamma(x) {
+  // Lanczos approximation, accurate to ~15 significant digits
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((c, i) => {
+    sum += c / (x + i + 1);
+  });
+  const t = x + coefficients.length - 0.5;
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum)
+  );
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betaContinuedFraction(a, b, x) {
+  const epsilon = 1e-14;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return h;
+}
+
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-sided p-value of Student's t distribution
+function tTestPValue(t, degreesOfFreedom) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(
+    degreesOfFreedom / 2,
+    0.5,
+    degreesOfFreedom / (degreesOfFreedom + t * t)
+  );
+}
+
+// Welch's unequal-variance t-test of mean(b) against mean(a)
+function welchTTest(a, b) {
+  const varianceA = variance(a) / a.length;
+  const varianceB = variance(b) / b.length;
+  const standardError = Math.sqrt(varianceA + varianceB);
+  const difference = mean(b) - mean(a);
+  if (standardError === 0) {
+    return {
+      t: difference === 0 ? 0 : Infinity,
+      degreesOfFreedom: NaN,
+      pValue: difference === 0 ? 1 : 0,
+    };
+  }
+  const t = difference / standardError;
+  const degreesOfFreedom =
+    Math.pow(varianceA + varianceB, 2) /
+    (Math.pow(varianceA, 2) / (a.length - 1) +
+      Math.pow(varianceB, 2) / (b.length - 1));
+  return { t, degreesOfFreedom, pValue: tTestPValue(t, degreesOfFreedom) };
+}
+
+// Paired t-test on b[i] - a[i]; both samples must line up element by element
+function pairedTTest(a, b) {
+  const differences = b.map((value, i) => value - a[i]);
+  const standardError =
+    standardDeviation(differences) / Math.sqrt(differences.length);
+  const difference = mean(differences);
+  if (standardError === 0) {
+    return {
+      t: difference === 0 ? 0 : Infinity,
+      degreesOfFreedom: differences.length - 1,
+      pValue: difference === 0 ? 1 : 0,
+    };
+  }
+  const t = difference / standardError;
+  const degreesOfFreedom = differences.length - 1;
+  return { t, degreesOfFreedom, pValue: tTestPValue(t, degreesOfFreedom) };
+}
+
+// Critical value t such that P(|T| > t) = 1 - confidence
+function tQuantile(confidence, degreesOfFreedom) {
+  const alpha = 1 - confidence;
+  let low = 0;
+  let high = 1e3;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (tTestPValue(middle, degreesOfFreedom) > alpha) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function confidenceInterval(values, confidence = 0.95) {
+  const m = mean(values);
+  if (values.length < 2) {
+    return {
+      mean: m,
+      lower: m,
+      upper: m,
+      halfWidth: Infinity,
+      relativeHalfWidth: Infinity,
+      confidence,
+    };
+  }
+  const halfWidth =
+    tQuantile(confidence, values.length - 1) *
+    (standardDeviation(values) / Math.sqrt(values.length));
+  return {
+    mean: m,
+    lower: m - halfWidth,
+    upper: m + halfWidth,
+    halfWidth,
+    relativeHalfWidth: m === 0 ? 0 : halfWidth / Math.abs(m),
+    confidence,
+  };
+}
+
+// Linear interpolation between closest ranks, p in [0, 100]
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length === 0) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(values) {
+  return percentile(values, 50);
+}
+
+// Tukey's fences: anything beyond factor * IQR outside the quartiles goes
+function rejectOutliers(values, factor = 1.5) {
+  if (values.length < 4) return { kept: [...values], rejected: [] };
+  const q1 = percentile(values, 25);
+  const q3 = percentile(values, 75);
+  const fence = factor * (q3 - q1);
+  const kept = [];
+  const rejected = [];
+  values.forEach((value) => {
+    (value < q1 - fence || value > q3 + fence ? rejected : kept).push(value);
+  });
+  return { kept, rejected };
+}
+
+function summarize(values, confidence = 0.95) {
+  const m = mean(values);
+  const sd = standardDeviation(values);
+  return {
+    count: values.length,
+    mean: m,
+    standardDeviation: sd,
+    coefficientOfVariation: m === 0 ? 0 : sd / Math.abs(m),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    p50: percentile(values, 50),
+    p95: percentile(values, 95),
+    p99: percentile(values, 99),
+    confidenceInterval: confidenceInterval(values, confidence),
+  };
+}
+
+module.exports = {
+  mean,
+  variance,
+  standardDeviation,
+  tTestPValue,
+  welchTTest,
+  pairedTTest,
+  tQuantile,
+  confidenceInterval,
+  percentile,
+  median,
+  rejectOutliers,
+  summarize,
+};
@@ -0,0 +1,157 @@
+// src/performance/StrategyRegistry.js
+const { CollatzCalculator } = require("../core/CollatzCalculator");
+
+// A strategy is { description, create(calculatorConfig) }. create returns a
+// runner with run(start, end, signal), resolving to one { number, steps,
+// cacheHit } row per number and rejecting once signal aborts, and reset(),
+// which drops any state kept between runs so every sample starts cold.
+// Runners backed by a cache may add stats(), returning
+// CollatzCalculator#getCacheStatistics-style counters, and runners that
+// apply a failure policy failures(), listing the numbers that failed since
+// the last reset.
+function calculatorRunner(calculator, useCache) {
+  let failures = [];
+  const runner = {
+    run: (start, end, signal) =>
+      calculator.processBatch(start, end, useCache, {
+        signal,
+        onFailure: (failure) => failures.push(failure),
+      }),
+    reset() {
+      calculator.cache.clear();
+      calculator.resetCacheStatistics();
+      failures = [];
+    },
+    failures: () => failures,
+  };
+  if (useCache) runner.stats = () => calculator.getCacheStatistics();
+  return runner;
+}
+
+// main.js is loaded lazily because its example entry point reports through
+// this registry
+function loopRunner(calculate, memo) {
+  return {
+    run(start, end, signal) {
+      const results = [];
+      for (let n = start; n <= end; n++) {
+        if (signal) signal.throwIfAborted();
+        results.push({ number: n, ...calculate(n, memo) });
+      }
+      return results;
+    },
+    reset: () => memo && memo.clear(),
+  };
+}
+
+const BUILTIN_STRATEGIES = {
+  "cached-calculator": {
+    description: "CollatzCalculator with its eviction-policy cache",
+    create: (config) => calculatorRunner(new CollatzCalculator(config), true),
+  },
+  "uncached-calculator": {
+    description: "CollatzCalculator with the cache bypassed",
+    create: (config) => calculatorRunner(new CollatzCalculator(config), false),
+  },
+  // The dense table only holds steps-mode entries, so it is measured against
+  // the same eviction-policy cache in steps mode rather than against
+  // cached-calculator, which follows the configured mode
+  "dense-steps": {
+    description: "Steps mode with a typed-array memo table below denseBound",
+    create: (config) =>
+      calculatorRunner(
+        new CollatzCalculator({ ...config, mode: "steps", memo: "dense" }),
+        true
+      ),
+  },
+  "cache-steps": {
+    description: "Steps mode with the eviction-policy cache alone",
+    create: (config) =>
+      calculatorRunner(
+        new CollatzCalculator({ ...config, mode: "steps", memo: "cache" }),
+        true
+      ),
+  },
+  // The jump kernel neither caches nor reports peaks, so its baseline is
+  // the uncached steps-mode loop
+  "jump-steps": {
+    description: "Jump mode: jumpBits shortcut-map steps per table lookup",
+    create: (config) =>
+      calculatorRunner(
+        new CollatzCalculator({ ...config, mode: "jump" }),
+        false
+      ),
+  },
+  "uncached-steps": {
+    description: "Steps mode with the cache bypassed",
+    create: (config) =>
+      calculatorRunner(
+        new CollatzCalculator({ ...config, mode: "steps" }),
+        false
+      ),
+  },
+  "map-memo": {
+    description: "main.js memoization over an unbounded singleton Map",
+    create() {
+      const {
+        MemoizationCache,
+        calculateCollatzMemoized,
+      } = require("../../main");
+      return loopRunner(
+        calculateCollatzMemoized,
+        MemoizationCache.getInstance()
+      );
+    },
+  },
+  "uncached-loop": {
+    description: "main.js plain loop without memoization",
+    create() {
+      const { calculateCollatzNonMemoized } = require("../../main");
+      return loopRunner(calculateCollatzNonMemoized);
+    },
+  },
+};
+
+class StrategyRegistry {
+  constructor(strategies = BUILTIN_STRATEGIES) {
+    this.strategies = new Map(Object.entries(strategies));
+  }
+
+  register(name, strategy) {
+    if (!strategy || typeof strategy.create !== "function") {
+      throw new Error(`Strategy "${name}" must provide a create() function`);
+    }
+    this.strategies.set(name, strategy);
+    return this;
+  }
+
+  unregister(name) {
+    return this.strategies.delete(name);
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  get(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(
+        `Unknown strategy "${name}". Expected one of: ${this.names().join(
+          ", "
+        )}`
+      );
+    }
+    return strategy;
+  }
+
+  names() {
+    return [...this.strategies.keys()];
+  }
+
+  create(name, calculatorConfig) {
+    return this.get(name).create(calculatorConfig);
+  }
+}
+
+module.exports = { StrategyRegistry, BUILTIN_STRATEGIES, calculatorRunner };
@@ -0,0 +1,62 @@
+// test/baseline.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  PerformanceAnalyzer,
+} = require("../src/performance/PerformanceAnalyzer");
+const { BaselineStore } = require("../src/performance/BaselineStore");
+
+// A compareImplementations report with the given per-batch profiles
+function reportOf(withCacheTimes, withoutCacheTimes) {
+  const memoryProfile = withCacheTimes.map(() => 50);
+  return {
+    analysisInfo: {
+      processedRange: { start: 1, end: 10000 },
+      numberOfBatches: withCacheTimes.length,
+    },
+    withCache: { timeProfile: withCacheTimes, memoryProfile },
+    withoutCache: { timeProfile: withoutCacheTimes, memoryProfile },
+  };
+}
+
+test("a significant slowdown is flagged against a saved baseline", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-baseline-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "nightly.json");
+  const store = new BaselineStore();
+  await store.save(
+    reportOf([10, 11, 10, 12, 11], [20, 21, 19, 22, 20]),
+    filePath
+  );
+  const baseline = await store.load(filePath);
+  assert.strictEqual(baseline.label, "nightly");
+
+  const comparison = new PerformanceAnalyzer({
+    silent: true,
+  }).compareWithBaseline(
+    baseline,
+    reportOf([20, 22, 21, 23, 22], [20, 21, 19.5, 22, 20.5])
+  );
+  assert.strictEqual(comparison.comparable, true);
+  assert.deepStrictEqual(comparison.regressions, ["withCache.time"]);
+  assert.deepStrictEqual(comparison.environmentDifferences, []);
+  const unchanged = comparison.metrics.find(
+    (metric) => metric.name === "withoutCache.time"
+  );
+  assert.strictEqual(unchanged.regression, false);
+  assert.strictEqual(unchanged.test, "paired-t");
+});
+
+test("baselines of another schema version are rejected", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-baseline-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "old.json");
+  fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: 0 }));
+  await assert.rejects(
+    new BaselineStore().load(filePath),
+    /schema version 0, expected 1/
+  );
+});
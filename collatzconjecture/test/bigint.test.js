@@ -0,0 +1,43 @@
+// test/bigint.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { normalize, parseInteger, add } = require("../src/core/Numeric");
+const { OverflowError } = require("../src/core/Errors");
+
+test("values are plain numbers while safe and BigInts beyond", () => {
+  assert.strictEqual(normalize(42n), 42);
+  assert.strictEqual(normalize(2n ** 53n), 2n ** 53n);
+  assert.strictEqual(parseInteger("9007199254740991"), Number.MAX_SAFE_INTEGER);
+  assert.strictEqual(parseInteger("9007199254740993"), 9007199254740993n);
+  assert.strictEqual(parseInteger(1.5), null);
+  assert.strictEqual(parseInteger("12abc"), null);
+  assert.strictEqual(add(Number.MAX_SAFE_INTEGER, 1), 2n ** 53n);
+  assert.strictEqual(add(2n ** 53n, -1), Number.MAX_SAFE_INTEGER);
+});
+
+test("sequences beyond 2^53 need --bigint", () => {
+  const n = 2 ** 52 + 1; // 3n + 1 leaves the safe range
+  assert.throws(
+    () => new CollatzCalculator().calculateSequence(n, false),
+    OverflowError
+  );
+
+  const result = new CollatzCalculator({
+    arbitraryPrecision: true,
+  }).calculateSequence(n, false);
+  assert.strictEqual(result.representation, "bigint");
+  assert.strictEqual(result.sequence[1], 3n * BigInt(n) + 1n);
+  assert.strictEqual(result.sequence[result.sequence.length - 1], 1);
+  assert.strictEqual(result.sequence.length, result.steps + 1);
+});
+
+test("a BigInt start keeps its exact value", () => {
+  const n = 2n ** 64n + 1n;
+  const result = new CollatzCalculator({
+    arbitraryPrecision: true,
+  }).calculateSequence(n, false);
+  assert.strictEqual(result.sequence[0], n);
+  assert.strictEqual(result.sequence[1], 3n * n + 1n);
+  assert.strictEqual(result.peak >= 3n * n + 1n, true);
+});
@@ -0,0 +1,158 @@
+// test/cachePolicies.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const {
+  CACHE_POLICIES,
+  LRUCache,
+  LFUCache,
+  ClockCache,
+} = require("../src/core/Cache");
+const {
+  PerformanceAnalyzer,
+} = require("../src/performance/PerformanceAnalyzer");
+
+test("sequence mode caches numbers that end in an intermediate hit", () => {
+  const calculator = new CollatzCalculator({ mode: "sequence" });
+  calculator.calculateSequence(2);
+  const result = calculator.calculateSequence(8);
+  assert.strictEqual(result.cacheHit, true);
+  assert.deepStrictEqual(calculator.cache.get(8).sequence, [8, 4, 2, 1]);
+});
+
+test("the policy benchmark fills and evicts a cache smaller than the range", async () => {
+  const analyzer = new PerformanceAnalyzer({ sampleSize: 1, silent: true });
+  const report = await analyzer.benchmarkCachePolicies(
+    { cacheSize: 500, mode: "sequence" },
+    1,
+    5000
+  );
+  assert.deepStrictEqual(
+    report.policies.map(({ policy }) => policy),
+    Object.keys(CACHE_POLICIES)
+  );
+  for (const { policy, cacheStatistics } of report.policies) {
+    assert.ok(cacheStatistics.evictions > 0, `${policy} evicted nothing`);
+    assert.strictEqual(cacheStatistics.insertions, 5000, policy);
+  }
+});
+
+test("steps mode recomputes entries cached without a stopping time", () => {
+  const calculator = new CollatzCalculator({ mode: "sequence" });
+  calculator.calculateSequence(27);
+  const result = calculator.calculateSteps(27);
+  assert.strictEqual(result.cacheHit, false);
+  assert.strictEqual(result.stoppingTime, 96);
+  assert.strictEqual(calculator.calculateSteps(27).cacheHit, true);
+});
+
+test("every policy shrinks to a new limit and counts what it evicted", () => {
+  for (const [policy, CacheClass] of Object.entries(CACHE_POLICIES)) {
+    const cache = new CacheClass(100);
+    for (let key = 1; key <= 100; key++) cache.set(key, key);
+    assert.strictEqual(cache.resize(40), 60, policy);
+    assert.strictEqual(cache.size(), 40, policy);
+    assert.strictEqual(cache.stats.evictions, 60, policy);
+    cache.resize(200);
+    for (let key = 101; key <= 260; key++) cache.set(key, key);
+    assert.strictEqual(cache.size(), 200, policy);
+    cache.resetStats();
+    assert.deepStrictEqual(
+      cache.stats,
+      { hits: 0, misses: 0, insertions: 0, evictions: 0, clears: 0 },
+      policy
+    );
+  }
+});
+
+test("cache clears reach the benchmark's cache summary", () => {
+  const calculator = new CollatzCalculator({ mode: "steps" });
+  for (let n = 1; n <= 100; n++) calculator.calculateSteps(n);
+  calculator.cache.clear();
+  for (let n = 1; n <= 100; n++) calculator.calculateSteps(n);
+
+  const analyzer = new PerformanceAnalyzer({ silent: true });
+  const summary = analyzer.summarizeCacheStatistics([
+    calculator.getCacheStatistics(),
+  ]);
+  assert.strictEqual(summary.clears, 1);
+  assert.strictEqual(summary.insertions, 200);
+});
+
+test("each policy evicts the entry it is named for", () => {
+  const lru = new LRUCache(3);
+  [1, 2, 3].forEach((key) => lru.set(key, key));
+  lru.get(1);
+  lru.set(4, 4);
+  assert.deepStrictEqual(
+    [1, 2, 3, 4].map((key) => lru.has(key)),
+    [true, false, true, true]
+  );
+
+  const lfu = new LFUCache(3);
+  [1, 2, 3].forEach((key) => lfu.set(key, key));
+  lfu.get(1);
+  lfu.get(1);
+  lfu.get(2);
+  lfu.set(4, 4);
+  assert.strictEqual(lfu.has(3), false);
+  assert.strictEqual(lfu.minFrequency, 1);
+
+  // New entries start referenced, so the first sweep clears every bit and
+  // evicts the oldest; after that a get() saves an entry from the hand
+  const clock = new ClockCache(3);
+  [1, 2, 3, 4].forEach((key) => clock.set(key, key));
+  clock.get(2);
+  clock.set(5, 5);
+  assert.deepStrictEqual(
+    [1, 2, 3, 4, 5].map((key) => clock.has(key)),
+    [false, true, false, true, true]
+  );
+});
+
+test("every policy stays within its size and normalizes BigInt keys", () => {
+  for (const [policy, CacheClass] of Object.entries(CACHE_POLICIES)) {
+    const cache = new CacheClass(10);
+    for (let key = 1; key <= 100; key++) cache.set(key, key * 2);
+    assert.strictEqual(cache.size(), 10, policy);
+    assert.strictEqual(cache.stats.evictions, 90, policy);
+
+    cache.set(7n, "seven");
+    assert.strictEqual(cache.get(7), "seven", policy);
+    assert.strictEqual(cache.delete(7n), true, policy);
+    assert.strictEqual(cache.has(7), false, policy);
+  }
+});
+
+test("full hits, intermediate hits, misses and evictions are counted", () => {
+  for (const mode of ["sequence", "steps"]) {
+    const calculator = new CollatzCalculator({ mode, cacheSize: 3 });
+    calculator.calculate(3); // miss
+    calculator.calculate(6); // reaches 3 after one step
+    calculator.calculate(6); // full hit
+    calculator.calculate(7); // miss
+    calculator.calculate(12); // reaches 6, evicting 3
+    const stats = calculator.getCacheStatistics();
+    assert.deepStrictEqual(
+      {
+        fullHits: stats.fullHits,
+        intermediateHits: stats.intermediateHits,
+        stepsSaved: stats.stepsSaved,
+        misses: stats.misses,
+        insertions: stats.insertions,
+        evictions: stats.evictions,
+        size: stats.size,
+      },
+      {
+        fullHits: 1,
+        intermediateHits: 2,
+        stepsSaved: 7 + 8,
+        misses: 2,
+        insertions: 4,
+        evictions: 1,
+        size: 3,
+      },
+      mode
+    );
+  }
+});
@@ -0,0 +1,57 @@
+// test/checkpoint.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CollatzAnalyzer } = require("../index");
+
+function totals({ metrics, records }) {
+  const { numbersProcessed, totalSteps, maxSteps, maxStepsNumber } = metrics;
+  return {
+    numbersProcessed,
+    totalSteps,
+    maxSteps,
+    maxStepsNumber,
+    records: records.map(({ type, number, value }) => ({
+      type,
+      number,
+      value,
+    })),
+  };
+}
+
+test("a resumed scan ends where an uninterrupted one does", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-checkpoint-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const checkpointPath = path.join(dir, "scan.json");
+  const analyzer = () => new CollatzAnalyzer({ silent: true, batchSize: 100 });
+
+  const full = await analyzer().scan(1, 1000, {
+    checkpointPath: path.join(dir, "full.json"),
+  });
+
+  const controller = new AbortController();
+  let batches = 0;
+  const interrupted = await analyzer().scan(1, 1000, {
+    checkpointPath,
+    signal: controller.signal,
+    onProgress: () => {
+      if (++batches === 3) controller.abort();
+    },
+  });
+  assert.strictEqual(interrupted.aborted, true);
+  assert.strictEqual(interrupted.metrics.numbersProcessed, 300);
+
+  const resumed = await analyzer().scan(1, 1000, {
+    checkpointPath,
+    resume: true,
+  });
+  assert.strictEqual(resumed.aborted, false);
+  assert.deepStrictEqual(totals(resumed), totals(full));
+
+  await assert.rejects(
+    analyzer().scan(1, 2000, { checkpointPath, resume: true }),
+    /covers 1-1000, not 1-2000/
+  );
+});
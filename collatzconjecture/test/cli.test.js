@@ -0,0 +1,122 @@
+// test/cli.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { run } = require("../src/cli");
+const { parseArgs, CliError } = require("../src/cli/parseArgs");
+
+// Runs the CLI with --json and resolves to { exitCode, result }
+async function runJSON(argv) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const exitCode = await run([...argv, "--json"], output);
+  const text = Buffer.concat(chunks).toString();
+  return { exitCode, result: text ? JSON.parse(text) : null };
+}
+
+test("sequence computes in the mode it is given", async () => {
+  const plain = await runJSON(["sequence", "27"]);
+  assert.strictEqual(plain.result.sequence.length, 112);
+
+  const steps = await runJSON(["sequence", "27", "--mode", "steps"]);
+  assert.strictEqual(steps.result.sequence, undefined);
+  assert.strictEqual(steps.result.stoppingTime, 96);
+
+  const jump = await runJSON(["sequence", "27", "--mode", "jump"]);
+  assert.strictEqual(jump.result.sequence, undefined);
+  assert.strictEqual(jump.result.steps, 111);
+});
+
+test("termination flags reach the calculator", async () => {
+  const cycle = await runJSON(["sequence", "27", "--termination", "cycle"]);
+  assert.strictEqual(cycle.result.termination, "cycle");
+  assert.strictEqual(cycle.result.steps, 109);
+
+  const diverged = await runJSON([
+    "sequence",
+    "7",
+    "--map",
+    "5x+1",
+    "--divergence-bound",
+    "1000",
+  ]);
+  assert.strictEqual(diverged.result.termination, "diverged");
+  assert.strictEqual(diverged.result.peak, 1146);
+});
+
+test("flags parse by type, with defaults and --no- negation", () => {
+  const spec = {
+    positionals: [{ name: "start", type: "integer", required: true }],
+    flags: {
+      "batch-size": { type: "count", default: 100 },
+      mode: { type: "choice", choices: ["steps", "jump"] },
+      columns: { type: "list" },
+      memo: { type: "boolean", default: true },
+    },
+  };
+  assert.deepStrictEqual(
+    parseArgs(
+      [
+        "18446744073709551616",
+        "--mode=jump",
+        "--columns",
+        "a, b,",
+        "--no-memo",
+      ],
+      spec
+    ),
+    {
+      help: false,
+      start: 2n ** 64n,
+      mode: "jump",
+      columns: ["a", "b"],
+      memo: false,
+      batchSize: 100,
+    }
+  );
+  assert.strictEqual(parseArgs(["--help"], spec).help, true);
+
+  for (const [argv, message] of [
+    [[], /Missing required argument <start>/],
+    [["1", "2"], /Unexpected argument "2"/],
+    [["x"], /<start> must be an integer, got "x"/],
+    [["1", "--batch-size", "0"], /--batch-size must be a positive integer/],
+    [["1", "--mode", "walk"], /--mode must be one of steps, jump/],
+    [["1", "--mode"], /--mode needs a value/],
+    [["1", "--memo=yes"], /--memo takes no value/],
+    [["1", "--colour"], /Unknown option --colour/],
+  ]) {
+    assert.throws(() => parseArgs(argv, spec), CliError);
+    assert.throws(() => parseArgs(argv, spec), message);
+  }
+});
+
+test("usage errors exit with 2 and failed runs with 1", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-cli-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.strictEqual(
+    (await runJSON(["sequence", "--mode", "walk"])).exitCode,
+    2
+  );
+  assert.strictEqual((await runJSON(["frobnicate"])).exitCode, 2);
+  assert.strictEqual((await runJSON(["sequence", "7"])).exitCode, 0);
+
+  const aborted = await runJSON([
+    "scan",
+    "1",
+    "100",
+    "--max-steps",
+    "50",
+    "--on-failure",
+    "abort",
+    "--checkpoint",
+    path.join(dir, "scan.json"),
+  ]);
+  assert.strictEqual(aborted.exitCode, 1);
+  assert.strictEqual(aborted.result.aborted, true);
+});
@@ -0,0 +1,67 @@
+// test/convergenceVerifier.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { ConvergenceVerifier } = require("../src/analysis/ConvergenceVerifier");
+const { ResidueSieve } = require("../src/core/ResidueSieve");
+
+test("a failure that aborts verification is listed once", async () => {
+  const calculator = new CollatzCalculator({
+    mode: "verify",
+    batchSize: 1,
+    sieveBits: 1,
+    failurePolicy: "abort",
+  });
+  // 2^52 + 1 climbs past 2^53 without --bigint
+  const start = 2 ** 52;
+  const report = await new ConvergenceVerifier(calculator).verify(
+    start,
+    start + 10
+  );
+  assert.strictEqual(report.aborted, true);
+  assert.deepStrictEqual(
+    report.failures.map(({ number, action }) => ({ number, action })),
+    [{ number: start + 1, action: "aborted" }]
+  );
+});
+
+test("sieve survivors match the known counts (OEIS A076227)", () => {
+  assert.deepStrictEqual(
+    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 16].map(
+      (bits) => new ResidueSieve(bits).survivors
+    ),
+    [1, 1, 2, 3, 4, 8, 13, 19, 38, 64, 2114]
+  );
+  assert.throws(() => new ResidueSieve(27), /from 1 to 26/);
+});
+
+test("sieved numbers really do descend", () => {
+  const sieve = new ResidueSieve(10);
+  const calculator = new CollatzCalculator({ mode: "steps" });
+  let sieved = 0;
+  for (let n = 2; n <= 5000; n++) {
+    if (!sieve.sieves(n)) continue;
+    sieved++;
+    assert.notStrictEqual(calculator.calculateSteps(n).stoppingTime, null);
+  }
+  assert.ok(sieved > 4000);
+});
+
+test("a range verifies in full, up to the first slow descent", async () => {
+  const verify = (config) =>
+    new ConvergenceVerifier(
+      new CollatzCalculator({ mode: "verify", batchSize: 1000, ...config })
+    ).verify(1, 10000);
+
+  const report = await verify({ sieveBits: 10 });
+  assert.strictEqual(report.complete, true);
+  assert.deepStrictEqual(report.verifiedRange, { start: 1, end: 10000 });
+  assert.strictEqual(report.numbersSieved + report.numbersChecked, 10000);
+  assert.ok(report.numbersSieved > report.numbersChecked);
+
+  // 27 is the first number that takes more than 50 steps to drop below itself
+  const limited = await verify({ sieveBits: 10, descentLimit: 50 });
+  assert.strictEqual(limited.complete, false);
+  assert.strictEqual(limited.candidates[0].number, 27);
+  assert.deepStrictEqual(limited.verifiedRange, { start: 1, end: 26 });
+});
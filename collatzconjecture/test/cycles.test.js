@@ -0,0 +1,77 @@
+// test/cycles.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { CycleCatalog } = require("../src/analysis/CycleCatalog");
+
+// -20 -> -10 -> -5 -> -14 -> -7 -> -20 is a cycle of 3x+1 on the negatives
+const CYCLE_MEMBERS = [-20, -10, -5, -14, -7];
+
+test("cycle entries do not depend on what the cache already holds", () => {
+  for (const mode of ["sequence", "steps"]) {
+    const calculate = (calculator, n) =>
+      mode === "sequence"
+        ? calculator.calculateSequence(n)
+        : calculator.calculateSteps(n);
+    for (const n of [...CYCLE_MEMBERS, -28, -56, -40]) {
+      const cold = calculate(
+        new CollatzCalculator({ mode, allowNegative: true }),
+        n
+      );
+      const warmed = new CollatzCalculator({ mode, allowNegative: true });
+      CYCLE_MEMBERS.forEach((member) => calculate(warmed, member));
+      const warm = calculate(warmed, n);
+      assert.deepStrictEqual(
+        { ...warm, cacheHit: undefined },
+        { ...cold, cacheHit: undefined },
+        `${mode} ${n}`
+      );
+    }
+  }
+});
+
+test("a number on its cycle is its own cycle entry", () => {
+  const calculator = new CollatzCalculator({ allowNegative: true });
+  calculator.calculateSequence(-20);
+  const result = calculator.calculateSequence(-14);
+  assert.strictEqual(result.steps, 0);
+  assert.deepStrictEqual(result.sequence, [-14]);
+  assert.strictEqual(result.cycle.entryValue, -14);
+  assert.strictEqual(result.cycle.length, 5);
+});
+
+test("the catalog finds the three cycles of 3x+1 on the negatives", async () => {
+  const calculator = new CollatzCalculator({
+    mode: "steps",
+    allowNegative: true,
+  });
+  const catalog = new CycleCatalog();
+  const results = await calculator.processBatch(-300, -1);
+  results.forEach((result) => catalog.observe(result));
+
+  const cycles = catalog.list();
+  assert.deepStrictEqual(
+    cycles.map(({ minimum, length }) => ({ minimum, length })),
+    [
+      { minimum: -272, length: 18 },
+      { minimum: -20, length: 5 },
+      { minimum: -2, length: 2 },
+    ]
+  );
+  assert.strictEqual(
+    cycles.reduce((total, { count }) => total + count, 0),
+    300
+  );
+  // Members start at the minimum, then follow the map
+  assert.deepStrictEqual(cycles[1].members, [-20, -10, -5, -14, -7]);
+});
+
+test("an entry step counts the steps taken before the cycle", () => {
+  const result = new CollatzCalculator({
+    allowNegative: true,
+  }).calculateSequence(-40);
+  assert.strictEqual(result.termination, "cycle");
+  assert.strictEqual(result.cycle.entryStep, 1);
+  assert.strictEqual(result.cycle.entryValue, -20);
+  assert.deepStrictEqual(result.sequence, [-40, -20]);
+});
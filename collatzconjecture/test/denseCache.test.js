@@ -0,0 +1,47 @@
+// test/denseCache.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { DenseCache, LRUCache } = require("../src/core/Cache");
+
+test("a dense memo gives the same results as the policy cache", () => {
+  const dense = new CollatzCalculator({
+    mode: "steps",
+    memo: "dense",
+    denseBound: 1000,
+    denseWidth: 16,
+  });
+  const cached = new CollatzCalculator({ mode: "steps" });
+  for (let n = 1; n <= 2000; n++) {
+    const { cacheHit, ...expected } = cached.calculate(n);
+    const { cacheHit: denseHit, ...actual } = dense.calculate(n);
+    assert.deepStrictEqual(actual, expected, `n = ${n}`);
+  }
+  const stats = dense.getCacheStatistics();
+  assert.strictEqual(stats.denseEntries, 999);
+  // Only the keys from 1000 up went to the fallback cache
+  assert.strictEqual(dense.cache.fallback.size(), 1001);
+});
+
+test("entries that do not fit the table go to the fallback", () => {
+  const cache = new DenseCache(100, new LRUCache(10));
+  const entry = {
+    steps: 3,
+    peak: 16,
+    stoppingTime: 1,
+    termination: "one",
+    representation: "number",
+  };
+  cache.set(5, entry);
+  cache.set(6, { ...entry, sequence: [6, 3, 10, 5] });
+  cache.set(7, { ...entry, termination: "cycle" });
+  cache.set(500, entry);
+  assert.strictEqual(cache.filled, 1);
+  assert.strictEqual(cache.fallback.size(), 3);
+  assert.deepStrictEqual(cache.get(6).sequence, [6, 3, 10, 5]);
+  assert.strictEqual(cache.get(5n).steps, 3);
+
+  assert.strictEqual(cache.delete(5), true);
+  assert.strictEqual(cache.has(5), false);
+  assert.throws(() => new DenseCache(10, new LRUCache(1), 8), /16 or 32/);
+});
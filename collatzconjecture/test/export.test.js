@@ -0,0 +1,101 @@
+// test/export.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { PassThrough } = require("stream");
+const { CollatzAnalyzer } = require("../index");
+const { ResultExporter } = require("../src/io/ResultExporter");
+
+async function exportLines(analyzerOptions, start, end) {
+  const analyzer = new CollatzAnalyzer({ ...analyzerOptions, silent: true });
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const summary = await analyzer.exportResults(start, end, { output });
+  const lines = Buffer.concat(chunks).toString().split("\n").filter(Boolean);
+  return { summary, rows: lines.map((line) => JSON.parse(line)) };
+}
+
+test("skipped numbers have no row and are returned as failures", async () => {
+  const { summary, rows } = await exportLines({ maxSteps: 100 }, 1, 100);
+  const failed = summary.failures.map((failure) => failure.number);
+  assert.strictEqual(failed.length, 15);
+  assert.strictEqual(rows.length + failed.length, 100);
+  assert.ok(rows.every((row) => !failed.includes(row.number)));
+  assert.strictEqual(summary.aborted, false);
+});
+
+test("the abort policy ends the export at the failing number", async () => {
+  for (const workers of [1, 2]) {
+    const { summary, rows } = await exportLines(
+      { maxSteps: 50, failurePolicy: "abort", workers, batchSize: 10 },
+      1,
+      100
+    );
+    assert.strictEqual(summary.aborted, true, `${workers} workers`);
+    assert.deepStrictEqual(
+      summary.failures.map(({ number, action }) => ({ number, action })),
+      [{ number: 27, action: "aborted" }]
+    );
+    assert.ok(rows.every((row) => row.number < 27));
+  }
+});
+
+// Writes rows through a ResultExporter and resolves to the bytes written
+async function encodeRows(options, rows) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const exporter = new ResultExporter({ ...options, output }).open();
+  rows.forEach((row) => exporter.write(row));
+  await exporter.close();
+  return Buffer.concat(chunks);
+}
+
+const ROWS = [
+  { number: 27, steps: 111, peak: 9232, stoppingTime: 96, cacheHit: false },
+  { number: 1, steps: 0, peak: 1, stoppingTime: null, cacheHit: true },
+  { number: -7, steps: 0, peak: -7, stoppingTime: null, cacheHit: false },
+  {
+    number: 2n ** 64n + 1n,
+    steps: 400,
+    peak: 3n * 2n ** 64n + 4n,
+    stoppingTime: 3,
+    cacheHit: false,
+  },
+];
+const COLUMNS = ["number", "steps", "peak", "stoppingTime", "cacheHit"];
+
+test("binary exports decode back to the rows written", async () => {
+  const buffer = await encodeRows(
+    { format: "binary", columns: [...COLUMNS, "termination"] },
+    ROWS.map((row) => ({ ...row, termination: "one" }))
+  );
+  assert.deepStrictEqual(
+    [...ResultExporter.decodeBinary(buffer)],
+    ROWS.map((row) => ({ ...row, termination: "one" }))
+  );
+  assert.throws(
+    () => [...ResultExporter.decodeBinary(Buffer.from("nope"))],
+    /Not a Collatz binary export/
+  );
+});
+
+test("NDJSON and CSV keep BigInt values exact", async () => {
+  const ndjson = (
+    await encodeRows({ format: "ndjson", columns: COLUMNS }, ROWS)
+  )
+    .toString()
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.strictEqual(ndjson[3].number, "18446744073709551617");
+  assert.strictEqual(ndjson[1].stoppingTime, null);
+
+  const csv = (await encodeRows({ format: "csv", columns: COLUMNS }, ROWS))
+    .toString()
+    .trim()
+    .split("\n");
+  assert.strictEqual(csv[0], COLUMNS.join(","));
+  assert.strictEqual(csv[1], "27,111,9232,96,false");
+  assert.strictEqual(csv[4].split(",")[0], "18446744073709551617");
+});
@@ -0,0 +1,80 @@
+// test/failurePolicies.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const {
+  MemoryExhaustedError,
+  StepLimitError,
+  toCollatzError,
+} = require("../src/core/Errors");
+
+// 2^52 + 1 is odd, so its first step leaves the safe integer range
+const OVERFLOWING = 2 ** 52 + 1;
+
+async function runBatch(config, start, end) {
+  const failures = [];
+  const rows = await new CollatzCalculator({
+    mode: "steps",
+    ...config,
+  }).processBatch(start, end, false, {
+    onFailure: (failure) => failures.push(failure),
+  });
+  return { rows, failures };
+}
+
+test("skip drops the failing number and reports it", async () => {
+  const { rows, failures } = await runBatch({}, OVERFLOWING - 1, OVERFLOWING);
+  assert.deepStrictEqual(
+    rows.map((row) => row.number),
+    [OVERFLOWING - 1]
+  );
+  assert.deepStrictEqual(failures, [
+    {
+      number: OVERFLOWING,
+      code: "OVERFLOW",
+      error: "OverflowError",
+      message: "Integer overflow detected",
+      action: "skipped",
+    },
+  ]);
+});
+
+test("retry-bigint recomputes overflows and skips other failures", async () => {
+  const overflow = await runBatch(
+    { failurePolicy: "retry-bigint" },
+    OVERFLOWING,
+    OVERFLOWING
+  );
+  assert.strictEqual(overflow.rows[0].representation, "bigint");
+  assert.deepStrictEqual(
+    overflow.failures.map(({ action }) => action),
+    ["retried"]
+  );
+
+  const stepLimit = await runBatch(
+    { failurePolicy: "retry-bigint", maxSteps: 100 },
+    27,
+    27
+  );
+  assert.deepStrictEqual(stepLimit.rows, []);
+  assert.deepStrictEqual(
+    stepLimit.failures.map(({ code, action }) => ({ code, action })),
+    [{ code: "STEP_LIMIT", action: "skipped" }]
+  );
+});
+
+test("abort rejects with the failing number's error", async () => {
+  await assert.rejects(
+    runBatch({ failurePolicy: "abort", maxSteps: 100 }, 1, 100),
+    (error) => error instanceof StepLimitError && error.number === 27
+  );
+});
+
+test("only allocation failures become CollatzErrors", () => {
+  const exhausted = toCollatzError(new RangeError("Invalid array length"), 9);
+  assert.ok(exhausted instanceof MemoryExhaustedError);
+  assert.strictEqual(exhausted.number, 9);
+
+  const bug = new TypeError("x is undefined");
+  assert.strictEqual(toCollatzError(bug, 9), bug);
+});
@@ -0,0 +1,53 @@
+// test/inverseTree.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { InverseTree } = require("../src/analysis/InverseTree");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+
+test("depth d of the tree of 1 holds the numbers that take d steps", () => {
+  const tree = new InverseTree(1, { maxDepth: 15 });
+  const calculator = new CollatzCalculator({ mode: "steps" });
+  for (const node of tree.nodes.values()) {
+    assert.strictEqual(calculator.calculate(node.value).steps, node.depth);
+    if (node.parent) {
+      assert.strictEqual(calculator.nextValue(node.value), node.parent.value);
+    }
+  }
+  const atDepth7 = [...tree.nodes.values()]
+    .filter((node) => node.depth === 7)
+    .map((node) => node.value)
+    .sort((a, b) => a - b);
+  assert.deepStrictEqual(atDepth7, [3, 20, 21, 128]);
+  assert.strictEqual(tree.truncated, false);
+});
+
+test("bounds truncate the tree", () => {
+  const capped = new InverseTree(1, { maxDepth: 30, maxNodes: 50 });
+  assert.strictEqual(capped.size(), 50);
+  assert.strictEqual(capped.truncated, true);
+
+  const bounded = new InverseTree(1, { maxValue: 100, maxDepth: 200 });
+  assert.ok([...bounded.nodes.values()].every((node) => node.value <= 100));
+  assert.throws(() => new InverseTree(1), /depth or value bound/);
+});
+
+test("trees serialize as DOT, adjacency lists and nested objects", () => {
+  const tree = new InverseTree(1, { maxDepth: 5 });
+  const dot = tree.serialize("dot");
+  assert.match(dot, /^digraph "3x\+1 predecessors of 1" \{/);
+  assert.match(dot, /"5" -> "16";/);
+  assert.match(dot, /"32" -> "16";/);
+
+  const { adjacency, nodes } = JSON.parse(tree.serialize("adjacency"));
+  assert.strictEqual(nodes, 7);
+  assert.deepStrictEqual(
+    adjacency["16"].sort((a, b) => a - b),
+    [5, 32]
+  );
+  assert.deepStrictEqual(adjacency["5"], []);
+
+  const nested = tree.toNested().tree;
+  assert.strictEqual(nested.value, 1);
+  assert.strictEqual(nested.children[0].children[0].children[0].value, 8);
+  assert.throws(() => tree.serialize("svg"), /Unknown tree format "svg"/);
+});
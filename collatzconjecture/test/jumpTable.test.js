@@ -0,0 +1,50 @@
+// test/jumpTable.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { JumpTable } = require("../src/core/JumpTable");
+
+test("jump mode counts the same steps as steps mode", () => {
+  const reference = new CollatzCalculator({ mode: "steps" });
+  for (const jumpBits of [1, 4, 12]) {
+    const jump = new CollatzCalculator({ mode: "jump", jumpBits });
+    for (let n = 1; n <= 5000; n++) {
+      assert.strictEqual(
+        jump.calculate(n).steps,
+        reference.calculate(n).steps,
+        `n = ${n}, ${jumpBits} bits`
+      );
+    }
+  }
+});
+
+test("jumps past 2^53 switch to BigInt", () => {
+  const n = 2n ** 70n + 1n;
+  const steps = new CollatzCalculator({
+    mode: "steps",
+    arbitraryPrecision: true,
+  }).calculate(n);
+  const jump = new CollatzCalculator({
+    mode: "jump",
+    arbitraryPrecision: true,
+  }).calculate(n);
+  assert.strictEqual(jump.steps, steps.steps);
+  assert.strictEqual(jump.representation, "bigint");
+  assert.strictEqual(jump.peak, null);
+});
+
+test("a table entry advances by k shortcut steps", () => {
+  const table = new JumpTable(3);
+  // 7 -> 11 -> 17 -> 26 under T: three odd steps
+  assert.strictEqual(table.multipliers[7], 27);
+  assert.strictEqual(table.addends[7], 26);
+  assert.strictEqual(table.stepsFor(7), 6);
+  // 8h + 7 -> 27h + 26 for h = 1: 15 -> 23 -> 35 -> 53
+  assert.strictEqual(table.multipliers[7] * 1 + table.addends[7], 53);
+
+  assert.throws(() => new JumpTable(0), /from 1 to 20/);
+  assert.throws(
+    () => new CollatzCalculator({ mode: "jump", map: "5x+1" }),
+    /needs the 3x\+1 map/
+  );
+});
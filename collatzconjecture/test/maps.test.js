@@ -0,0 +1,72 @@
+// test/maps.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzMap } = require("../src/core/CollatzMap");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+
+test("map names resolve to presets and qx+r maps", () => {
+  assert.strictEqual(CollatzMap.from().isStandard, true);
+  assert.strictEqual(CollatzMap.from("3x+1").isStandard, true);
+  assert.strictEqual(CollatzMap.from("5x+1").cycles.length, 3);
+
+  const map = CollatzMap.from("7x + 3");
+  assert.strictEqual(map.name, "7x+3");
+  assert.strictEqual(map.next(5), 38);
+  assert.strictEqual(map.next(38), 19);
+  assert.deepStrictEqual(map.cycles, []);
+
+  assert.throws(() => CollatzMap.from("x^2"), /Unknown map "x\^2"/);
+  assert.throws(
+    () => new CollatzMap({ modulus: 2, branches: [] }),
+    /one branch per residue mod 2/
+  );
+});
+
+test("custom branch rules follow their own divisors and cycles", () => {
+  // The shortcut map: odd n goes straight to (3n + 1) / 2
+  const shortcut = {
+    modulus: 2,
+    branches: [
+      { multiplier: 1, addend: 0, divisor: 2 },
+      { multiplier: 3, addend: 1, divisor: 2 },
+    ],
+    cycles: [[1, 2]],
+  };
+  assert.strictEqual(CollatzMap.from(shortcut).name, "(1x+0)/2 | (3x+1)/2");
+  const calculator = new CollatzCalculator({ map: shortcut });
+  const result = calculator.calculateSequence(27, false);
+  assert.strictEqual(result.termination, "cycle");
+  assert.strictEqual(result.terminalValue, 2);
+  // 9232 = 3 * 3077 + 1 is halved in the same step
+  assert.strictEqual(result.peak, 4616);
+
+  // 41 of the 111 standard steps are odd ones folded into a halving
+  const toOne = new CollatzCalculator({
+    map: shortcut,
+    termination: { mode: "one" },
+  }).calculateSequence(27, false);
+  assert.strictEqual(toOne.steps, 70);
+  assert.strictEqual(toOne.termination, "one");
+
+  const broken = CollatzMap.from({
+    modulus: 2,
+    branches: [
+      { multiplier: 1, addend: 0, divisor: 2 },
+      { multiplier: 1, addend: 0, divisor: 2 },
+    ],
+  });
+  assert.throws(() => broken.next(3), /does not send 3 to an integer/);
+});
+
+test("other maps stop on their known cycles", () => {
+  const calculator = new CollatzCalculator({ mode: "steps", map: "3x-1" });
+  const result = calculator.calculate(7);
+  assert.strictEqual(result.termination, "cycle");
+  assert.strictEqual(result.steps, 0);
+  assert.deepStrictEqual(result.cycle.members, [5, 14, 7, 20, 10]);
+
+  // forMap shares the settings but walks the other map
+  const standard = calculator.forMap("3x+1").calculate(7);
+  assert.strictEqual(standard.termination, "one");
+  assert.strictEqual(standard.steps, 16);
+});
@@ -0,0 +1,113 @@
+// test/memoSnapshot.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { MemoSnapshotError } = require("../src/io/MemoSnapshotStore");
+const { MemoizationCache, calculateCollatzMemoized } = require("../main");
+
+test("a smaller cache reports what it kept and leaves the snapshot alone", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-memo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const memoSnapshot = path.join(dir, "memo.snapshot");
+
+  const full = new CollatzCalculator({ mode: "steps", memoSnapshot });
+  for (let n = 1; n <= 3000; n++) full.calculateSteps(n);
+  assert.strictEqual((await full.saveMemoSnapshot()).entries, 3000);
+
+  const small = new CollatzCalculator({
+    mode: "steps",
+    cacheSize: 100,
+    memoSnapshot,
+  });
+  assert.strictEqual(small.snapshotEntries, 3000);
+  assert.strictEqual(small.snapshotRetained, 100);
+
+  assert.strictEqual((await small.saveMemoSnapshot()).kept, 3000);
+  assert.strictEqual(
+    new CollatzCalculator({ mode: "steps", memoSnapshot }).snapshotEntries,
+    3000
+  );
+
+  const saved = await small.saveMemoSnapshot(memoSnapshot, {
+    overwrite: true,
+  });
+  assert.strictEqual(saved.kept, undefined);
+  assert.strictEqual(saved.entries, 100);
+});
+
+test("a snapshot covers only the cached range, sparsely when it is sparse", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-memo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const memoSnapshot = path.join(dir, "memo.snapshot");
+
+  const sparse = new CollatzCalculator({ mode: "steps" });
+  for (let n = 5000000; n <= 5000100; n++) sparse.calculateSteps(n);
+  const saved = await sparse.saveMemoSnapshot(memoSnapshot);
+  assert.deepStrictEqual(saved.range, { start: 5000000, end: 5000100 });
+  assert.ok(fs.statSync(memoSnapshot).size < 4096);
+
+  const restored = new CollatzCalculator({ mode: "steps", memoSnapshot });
+  assert.strictEqual(restored.snapshotEntries, saved.entries);
+  const result = restored.calculateSteps(5000050);
+  assert.strictEqual(result.cacheHit, true);
+  assert.deepStrictEqual(result, sparse.calculateSteps(5000050));
+
+  const dense = new CollatzCalculator({ mode: "steps" });
+  for (let n = 1000; n <= 2000; n++) dense.calculateSteps(n);
+  assert.strictEqual(dense.memoSnapshot().keys, null);
+  assert.strictEqual(dense.memoSnapshot().start, 1000);
+});
+
+test("a steps-only snapshot from main.js restores full entries", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-memo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const memoSnapshot = path.join(dir, "memo.snapshot");
+
+  MemoizationCache.getInstance().clear();
+  for (let n = 1; n <= 500; n++) calculateCollatzMemoized(n);
+  await MemoizationCache.saveSnapshot(memoSnapshot, 500);
+
+  const warm = new CollatzCalculator({ mode: "steps", memoSnapshot });
+  assert.strictEqual(warm.snapshotEntries, 500);
+  const cold = new CollatzCalculator({ mode: "steps" });
+  for (const n of [1, 2, 27, 97, 255, 500]) {
+    const { steps, peak, stoppingTime } = cold.calculateSteps(n, false);
+    const restored = warm.calculateSteps(n);
+    assert.strictEqual(restored.cacheHit, true);
+    assert.deepStrictEqual(
+      {
+        steps: restored.steps,
+        peak: restored.peak,
+        stoppingTime: restored.stoppingTime,
+      },
+      { steps, peak, stoppingTime }
+    );
+  }
+});
+
+test("snapshots of another map or cut short are rejected", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-memo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const memoSnapshot = path.join(dir, "memo.snapshot");
+
+  const calculator = new CollatzCalculator({ mode: "steps" });
+  for (let n = 1; n <= 100; n++) calculator.calculateSteps(n);
+  await calculator.saveMemoSnapshot(memoSnapshot);
+
+  assert.throws(
+    () => new CollatzCalculator({ mode: "steps", map: "5x+1", memoSnapshot }),
+    (error) =>
+      error instanceof MemoSnapshotError &&
+      /built for map 3x\+1, not 5x\+1/.test(error.message)
+  );
+
+  const bytes = fs.readFileSync(memoSnapshot);
+  fs.writeFileSync(memoSnapshot, bytes.subarray(0, bytes.length - 10));
+  assert.throws(
+    () => new CollatzCalculator({ mode: "steps", memoSnapshot }),
+    /expected \d+ bytes, found \d+/
+  );
+});
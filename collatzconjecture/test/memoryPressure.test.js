@@ -0,0 +1,47 @@
+// test/memoryPressure.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { MemoryManager } = require("../src/core/MemoryManager");
+
+const MB = 1024 * 1024;
+
+test("pressure levels follow the thresholds", () => {
+  const manager = new MemoryManager(100, 200, 300);
+  assert.strictEqual(manager.levelFor(99 * MB), "normal");
+  assert.strictEqual(manager.levelFor(100 * MB), "soft");
+  assert.strictEqual(manager.levelFor(250 * MB), "hard");
+  assert.strictEqual(manager.levelFor(300 * MB), "exhausted");
+  // A hard threshold below the soft one is raised to it
+  assert.strictEqual(new MemoryManager(100, 50).hardThreshold, 100 * MB);
+});
+
+test("the cache shrinks under pressure and grows back in steps", () => {
+  const calculator = new CollatzCalculator({
+    mode: "steps",
+    cacheSize: 1000,
+    minCacheSize: 300,
+  });
+  for (let n = 1; n <= 1000; n++) calculator.calculate(n);
+  assert.strictEqual(calculator.cache.size(), 1000);
+
+  const { memoryManager, cache } = calculator;
+  memoryManager.emit("pressure", { level: "soft" });
+  assert.strictEqual(cache.maxSize, 750);
+  assert.strictEqual(cache.size(), 750);
+  memoryManager.emit("pressure", { level: "hard" });
+  assert.strictEqual(cache.maxSize, 375);
+  memoryManager.emit("pressure", { level: "hard" });
+  assert.strictEqual(cache.maxSize, 300);
+
+  const stats = calculator.getCacheStatistics();
+  assert.strictEqual(stats.pressureShrinks, 3);
+  assert.strictEqual(stats.pressureEvictions, 700);
+
+  memoryManager.emit("available", { level: "normal" });
+  assert.strictEqual(cache.maxSize, 400);
+  for (let i = 0; i < 10; i++) {
+    memoryManager.emit("available", { level: "normal" });
+  }
+  assert.strictEqual(cache.maxSize, 1000);
+});
@@ -0,0 +1,55 @@
+// test/mergePoint.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+
+// First value every trajectory passes through, straight from the sequences
+function bruteForceMerge(numbers) {
+  const reference = new CollatzCalculator();
+  const sequences = numbers.map(
+    (n) => reference.calculateSequence(n, false).sequence
+  );
+  const value = sequences[0].find((candidate) =>
+    sequences.every((sequence) => sequence.includes(candidate))
+  );
+  return {
+    value,
+    steps: sequences.map((sequence) => sequence.indexOf(value)),
+  };
+}
+
+test("merge points match the first shared value of the trajectories", () => {
+  for (const mode of ["sequence", "steps"]) {
+    const calculator = new CollatzCalculator({ mode });
+    for (const numbers of [
+      [27, 31],
+      [3, 5],
+      [6, 7],
+      [1, 1000],
+      [97, 871],
+      [7, 9, 11],
+      [100, 200, 300, 400],
+      [42],
+    ]) {
+      const { value, steps } = calculator.mergeSet(numbers);
+      assert.deepStrictEqual(
+        { value, steps },
+        bruteForceMerge(numbers),
+        `${mode} ${numbers}`
+      );
+    }
+  }
+  assert.deepStrictEqual(
+    new CollatzCalculator().mergePoint(27, 31).steps,
+    [5, 0]
+  );
+});
+
+test("trajectories ending in different cycles have no merge point", () => {
+  const calculator = new CollatzCalculator({ map: "5x+1" });
+  // 1 ends in the cycle through 1, 13 in the one through 13
+  const result = calculator.mergePoint(1, 13);
+  assert.strictEqual(result.value, null);
+  assert.strictEqual(result.steps, null);
+  assert.throws(() => calculator.mergeSet([]), /at least one number/);
+});
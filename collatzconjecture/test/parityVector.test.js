@@ -0,0 +1,62 @@
+// test/parityVector.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { ParityVector } = require("../src/core/ParityVector");
+
+// The standard trajectory of n rebuilt from its shortcut-map parities
+function rebuild(n, vector) {
+  const sequence = [n];
+  let value = n;
+  for (let j = 0; j < vector.length; j++) {
+    if (vector.get(j)) {
+      value = 3 * value + 1;
+      sequence.push(value);
+    }
+    value /= 2;
+    sequence.push(value);
+  }
+  return sequence;
+}
+
+test("parity vectors rebuild the trajectories they encode", () => {
+  const numbers = new CollatzCalculator();
+  const parity = new CollatzCalculator({ sequenceFormat: "parity" });
+  for (let n = 2; n <= 500; n++) {
+    const { sequence } = numbers.calculateSequence(n, false);
+    const { parityVector } = parity.calculateSequence(n);
+    assert.deepStrictEqual(rebuild(n, parityVector), sequence, `n = ${n}`);
+  }
+
+  const vector = parity.calculateSequence(27).parityVector;
+  assert.strictEqual(vector.length, 70);
+  assert.strictEqual(vector.oddSteps(), 41);
+});
+
+test("parity vectors survive strings and structured cloning", () => {
+  const vector = ParityVector.from("1101000101");
+  assert.strictEqual(vector.toString(), "1101000101");
+  assert.strictEqual(JSON.stringify(vector), '"1101000101"');
+  const cloned = ParityVector.from(structuredClone(vector));
+  assert.ok(cloned instanceof ParityVector);
+  assert.strictEqual(cloned.toString(), "1101000101");
+  assert.throws(() => ParityVector.from("1021"), /must be 0s and 1s/);
+});
+
+test("a vector's residue class holds exactly the numbers that follow it", () => {
+  const calculator = new CollatzCalculator({ sequenceFormat: "parity" });
+  const k = 8;
+  for (let n = 300; n <= 400; n++) {
+    const prefix = calculator
+      .calculateSequence(n)
+      .parityVector.toString()
+      .slice(0, k);
+    const { residue, modulus } = calculator.residueClassOf(prefix);
+    assert.strictEqual(modulus, 2 ** k);
+    assert.strictEqual(n % modulus, residue, `n = ${n}`);
+  }
+  assert.deepStrictEqual(ParityVector.from("1".repeat(80)).residueClass(), {
+    residue: 2n ** 80n - 1n,
+    modulus: 2n ** 80n,
+  });
+});
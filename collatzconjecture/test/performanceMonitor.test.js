@@ -0,0 +1,65 @@
+// test/performanceMonitor.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { constants } = require("perf_hooks");
+const { PerformanceMonitor } = require("../src/performance/PerformanceMonitor");
+
+test("measure reports runtime metrics and stops its sampler on failure", async () => {
+  const monitor = new PerformanceMonitor({ sampleInterval: 1 });
+  const { results, runtime } = await monitor.measure(async () => {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return 42;
+  });
+  assert.strictEqual(results, 42);
+  assert.ok(runtime.memory.samples >= 2);
+  assert.ok(runtime.memory.peakHeapMB >= runtime.memory.endHeapMB);
+  assert.ok(runtime.cpu.userMs >= 0);
+  assert.strictEqual(monitor.measurements.length, 1);
+
+  await assert.rejects(
+    monitor.measure(() => Promise.reject(new Error("boom"))),
+    /boom/
+  );
+  const samples = monitor.memorySamples;
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.strictEqual(monitor.memorySamples, samples);
+});
+
+test("GC entries are summarized by kind", () => {
+  const summary = new PerformanceMonitor().summarizeGc([
+    { duration: 2, detail: { kind: constants.NODE_PERFORMANCE_GC_MINOR } },
+    { duration: 5, detail: { kind: constants.NODE_PERFORMANCE_GC_MAJOR } },
+    { duration: 1, detail: { kind: constants.NODE_PERFORMANCE_GC_MINOR } },
+  ]);
+  assert.strictEqual(summary.count, 3);
+  assert.strictEqual(summary.totalPauseMs, 8);
+  assert.strictEqual(summary.maxPauseMs, 5);
+  assert.deepStrictEqual(summary.byKind.minor, { count: 2, totalPauseMs: 3 });
+  assert.deepStrictEqual(summary.byKind.major, { count: 1, totalPauseMs: 5 });
+});
+
+test("combined runtimes weight event loop delay by sample count", () => {
+  const runtime = (meanMs, count, peakHeapMB) => ({
+    memory: { peakHeapMB, peakRssMB: 0, peakExternalMB: 0, samples: 1 },
+    cpu: { userMs: 10, systemMs: 1 },
+    eventLoopDelay: { count, maxMs: meanMs, meanMs, p99Ms: meanMs },
+    gc: { count: 0, totalPauseMs: 0, maxPauseMs: 0, byKind: {} },
+  });
+  const combined = PerformanceMonitor.combineRuntime([
+    runtime(1, 30, 20),
+    runtime(5, 10, 40),
+    runtime(null, 0, 10),
+  ]);
+  assert.strictEqual(combined.measurements, 3);
+  assert.strictEqual(combined.memory.peakHeapMB, 40);
+  assert.strictEqual(combined.cpu.userMs, 30);
+  assert.strictEqual(combined.eventLoopDelay.count, 40);
+  assert.strictEqual(combined.eventLoopDelay.meanMs, 2);
+  assert.strictEqual(combined.eventLoopDelay.maxMs, 5);
+
+  assert.strictEqual(
+    PerformanceMonitor.combineRuntime([runtime(null, 0, 1)]).eventLoopDelay
+      .meanMs,
+    null
+  );
+});
@@ -0,0 +1,73 @@
+// test/progress.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+const { CollatzAnalyzer } = require("../index");
+
+test("a batch reports progress as it goes and once at the end", async () => {
+  const calculator = new CollatzCalculator({
+    mode: "steps",
+    memoryCheckFrequency: 100,
+  });
+  const events = [];
+  await calculator.processBatch(1, 350, true, {
+    onProgress: (event) => events.push(event),
+  });
+  assert.deepStrictEqual(
+    events.map(({ type, numbersDone }) => ({ type, numbersDone })),
+    [
+      { type: "progress", numbersDone: 100 },
+      { type: "progress", numbersDone: 200 },
+      { type: "progress", numbersDone: 300 },
+      { type: "batch", numbersDone: 350 },
+    ]
+  );
+  const last = events[events.length - 1];
+  assert.strictEqual(last.percent, 100);
+  assert.strictEqual(last.records.delay.number, 327);
+  assert.strictEqual(last.records.path.number, 255);
+});
+
+test("an aborted signal stops a batch with its reason", async () => {
+  const calculator = new CollatzCalculator({
+    mode: "steps",
+    memoryCheckFrequency: 10,
+  });
+  const controller = new AbortController();
+  const seen = [];
+  await assert.rejects(
+    calculator.processBatch(1, 1000, true, {
+      signal: controller.signal,
+      onResult: (row) => {
+        seen.push(row.number);
+        if (row.number === 25) controller.abort(new Error("stop at 25"));
+      },
+    }),
+    /stop at 25/
+  );
+  assert.strictEqual(seen[seen.length - 1], 25);
+});
+
+test("scan progress events count batches up to the whole range", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "collatz-progress-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const analyzer = new CollatzAnalyzer({ silent: true, batchSize: 250 });
+  const events = [];
+  const summary = await analyzer.scan(1, 1000, {
+    checkpointPath: path.join(dir, "scan.json"),
+    onProgress: (event) => events.push(event),
+  });
+  assert.strictEqual(summary.aborted, false);
+  assert.deepStrictEqual(
+    events.map(({ batchIndex, percent }) => ({ batchIndex, percent })),
+    [
+      { batchIndex: 0, percent: 25 },
+      { batchIndex: 1, percent: 50 },
+      { batchIndex: 2, percent: 75 },
+      { batchIndex: 3, percent: 100 },
+    ]
+  );
+});
@@ -0,0 +1,55 @@
+// test/records.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzAnalyzer } = require("../index");
+const { RecordTracker } = require("../src/analysis/RecordTracker");
+
+// OEIS A006877 and A006884 up to 1000
+const DELAY_RECORDS = [
+  1, 2, 3, 6, 7, 9, 18, 25, 27, 54, 73, 97, 129, 171, 231, 313, 327, 649, 703,
+  871,
+];
+const PATH_RECORDS = [1, 2, 3, 7, 15, 27, 255, 447, 639, 703];
+
+function numbersOf(records, type) {
+  return records
+    .filter((record) => record.type === type)
+    .map((record) => record.number);
+}
+
+for (const workers of [1, 2]) {
+  test(`findRecords lists the known records with ${workers} worker(s)`, async () => {
+    const analyzer = new CollatzAnalyzer({
+      silent: true,
+      workers,
+      batchSize: 100,
+    });
+    const records = await analyzer.findRecords(1, 1000, () => {});
+    assert.deepStrictEqual(numbersOf(records, "delay"), DELAY_RECORDS);
+    assert.deepStrictEqual(numbersOf(records, "path"), PATH_RECORDS);
+  });
+}
+
+test("a record tracker survives a JSON round trip", () => {
+  const tracker = new RecordTracker();
+  tracker.observe({ number: 1, steps: 0, stoppingTime: null, peak: 1 });
+  tracker.observe({ number: 27, steps: 111, stoppingTime: 96, peak: 9232 });
+  tracker.observe({
+    number: 2n ** 60n,
+    steps: 60,
+    stoppingTime: 1,
+    peak: 2n ** 60n,
+  });
+
+  const restored = RecordTracker.fromJSON(
+    JSON.parse(JSON.stringify(tracker.toJSON()))
+  );
+  assert.strictEqual(restored.scanned, 3);
+  assert.strictEqual(restored.best.path.number, 2n ** 60n);
+  assert.strictEqual(restored.best.delay.value, 111);
+  // Lower values are not records
+  assert.deepStrictEqual(
+    restored.observe({ number: 28, steps: 18, stoppingTime: 1, peak: 28 }),
+    []
+  );
+});
@@ -0,0 +1,70 @@
+// test/statistics.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  mean,
+  variance,
+  tTestPValue,
+  welchTTest,
+  pairedTTest,
+  tQuantile,
+  confidenceInterval,
+  percentile,
+  median,
+  rejectOutliers,
+} = require("../src/performance/Statistics");
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+test("t-distribution tails and quantiles match the tables", () => {
+  assertClose(tTestPValue(0, 10), 1);
+  assertClose(tTestPValue(2.228139, 10), 0.05);
+  assertClose(tTestPValue(12.7062, 1), 0.05);
+  assertClose(tQuantile(0.95, 4), 2.776445);
+  assertClose(tQuantile(0.99, 30), 2.749996);
+});
+
+test("Welch and paired t-tests", () => {
+  const a = [1, 2, 3, 4, 5];
+  const b = [2, 4, 6, 8, 10];
+  assert.strictEqual(mean(b), 6);
+  assert.strictEqual(variance(b), 10);
+
+  const welch = welchTTest(a, b);
+  assertClose(welch.t, 3 / Math.sqrt(2.5));
+  assertClose(welch.degreesOfFreedom, 6.25 / 1.0625);
+  assert.ok(welch.pValue > 0.05 && welch.pValue < 0.2);
+
+  // Every element moved by exactly one: no spread, so certainly different
+  assert.deepStrictEqual(
+    pairedTTest(
+      a,
+      a.map((value) => value + 1)
+    ),
+    { t: Infinity, degreesOfFreedom: 4, pValue: 0 }
+  );
+  const paired = pairedTTest(a, [2, 2, 4, 5, 6]);
+  assertClose(paired.t, 0.8 / (Math.sqrt(0.2) / Math.sqrt(5)));
+  assert.strictEqual(paired.degreesOfFreedom, 4);
+});
+
+test("confidence intervals, percentiles and outliers", () => {
+  const interval = confidenceInterval([1, 2, 3, 4, 5]);
+  assert.strictEqual(interval.mean, 3);
+  assertClose(interval.halfWidth, 2.776445 * Math.sqrt(2.5 / 5));
+  assertClose(interval.lower, 3 - interval.halfWidth);
+  assert.strictEqual(confidenceInterval([7]).halfWidth, Infinity);
+
+  assert.strictEqual(percentile([4, 1, 3, 2], 25), 1.75);
+  assert.strictEqual(median([3, 1, 2]), 2);
+  assert.deepStrictEqual(rejectOutliers([10, 11, 12, 13, 100]), {
+    kept: [10, 11, 12, 13],
+    rejected: [100],
+  });
+  assert.deepStrictEqual(rejectOutliers([1, 100, 1000]).rejected, []);
+});
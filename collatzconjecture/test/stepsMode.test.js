@@ -0,0 +1,44 @@
+// test/stepsMode.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+
+// Stopping time straight from the definition: steps until n drops below n
+function stoppingTimeOf(sequence) {
+  const index = sequence.findIndex((value) => value < sequence[0]);
+  return index === -1 ? null : index;
+}
+
+test("steps mode agrees with full sequences, cold and warm", () => {
+  const reference = new CollatzCalculator({ mode: "sequence" });
+  const cold = new CollatzCalculator({ mode: "steps" });
+  const warm = new CollatzCalculator({ mode: "steps" });
+  for (let n = 1; n <= 300; n++) warm.calculate(n);
+
+  for (let n = 1; n <= 300; n++) {
+    const { sequence, steps, peak } = reference.calculateSequence(n, false);
+    const expected = { steps, peak, stoppingTime: stoppingTimeOf(sequence) };
+    for (const calculator of [cold, warm]) {
+      const result = calculator.calculate(n, calculator === warm);
+      assert.strictEqual(result.sequence, undefined);
+      assert.deepStrictEqual(
+        {
+          steps: result.steps,
+          peak: result.peak,
+          stoppingTime: result.stoppingTime,
+        },
+        expected,
+        `n = ${n}`
+      );
+    }
+  }
+});
+
+test("a repeated number is a full cache hit in steps mode", () => {
+  const calculator = new CollatzCalculator({ mode: "steps" });
+  assert.strictEqual(calculator.calculateSteps(27).cacheHit, false);
+  const again = calculator.calculateSteps(27);
+  assert.strictEqual(again.cacheHit, true);
+  assert.strictEqual(again.steps, 111);
+  assert.strictEqual(again.stoppingTime, 96);
+});
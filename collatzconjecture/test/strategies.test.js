@@ -0,0 +1,66 @@
+// test/strategies.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  StrategyRegistry,
+  BUILTIN_STRATEGIES,
+} = require("../src/performance/StrategyRegistry");
+const {
+  PerformanceAnalyzer,
+} = require("../src/performance/PerformanceAnalyzer");
+
+test("every built-in strategy computes the same step counts", async () => {
+  const registry = new StrategyRegistry();
+  let expected = null;
+  for (const name of Object.keys(BUILTIN_STRATEGIES)) {
+    const runner = registry.create(name, { batchSize: 100 });
+    const rows = await runner.run(1, 200);
+    const steps = rows.map((row) => row.steps);
+    if (expected === null) expected = steps;
+    assert.deepStrictEqual(steps, expected, name);
+    runner.reset();
+  }
+});
+
+test("registered strategies are benchmarked next to the built-in ones", async () => {
+  const registry = new StrategyRegistry({
+    "uncached-steps": BUILTIN_STRATEGIES["uncached-steps"],
+  });
+  let resets = 0;
+  registry.register("constant", {
+    description: "Pretends every number takes no steps",
+    create: () => ({
+      run: (start, end) =>
+        Array.from({ length: end - start + 1 }, (_, i) => ({
+          number: start + i,
+          steps: 0,
+          cacheHit: false,
+        })),
+      reset: () => resets++,
+    }),
+  });
+  assert.throws(() => registry.register("broken", {}), /create\(\) function/);
+  assert.throws(() => registry.get("missing"), /Expected one of: uncached/);
+
+  const analyzer = new PerformanceAnalyzer({
+    sampleSize: 2,
+    maxSamples: 2,
+    warmupRuns: 1,
+    silent: true,
+    strategies: registry,
+  });
+  const report = await analyzer.compareStrategies({ batchSize: 100 }, 1, 300);
+  assert.deepStrictEqual(
+    report.strategies.map(({ name }) => name),
+    ["uncached-steps", "constant"]
+  );
+  assert.strictEqual(
+    report.strategies[1].description,
+    "Pretends every number takes no steps"
+  );
+  assert.strictEqual(report.analysisInfo.numberOfBatches, 3);
+  assert.ok(resets > 0);
+
+  assert.strictEqual(registry.unregister("constant"), true);
+  assert.deepStrictEqual(registry.names(), ["uncached-steps"]);
+});
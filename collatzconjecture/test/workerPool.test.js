@@ -0,0 +1,68 @@
+// test/workerPool.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { WorkerPool } = require("../src/parallel/WorkerPool");
+const { CollatzCalculator } = require("../src/core/CollatzCalculator");
+
+test("batches reach onBatch in range order and match a serial run", async () => {
+  const pool = new WorkerPool({
+    workerCount: 2,
+    calculatorConfig: { mode: "steps", batchSize: 50 },
+  });
+  const starts = [];
+  try {
+    const merged = await pool.processRange(1, 1000, true, (batch) => {
+      starts.push(batch.start);
+    });
+    assert.deepStrictEqual(
+      starts,
+      Array.from({ length: 20 }, (_, i) => i * 50 + 1)
+    );
+    assert.deepStrictEqual(
+      merged.results.map((result) => result.number),
+      Array.from({ length: 1000 }, (_, i) => i + 1)
+    );
+
+    const serial = new CollatzCalculator({ mode: "steps" });
+    let totalSteps = 0;
+    for (let n = 1; n <= 1000; n++) totalSteps += serial.calculate(n).steps;
+    assert.strictEqual(merged.summary.count, 1000);
+    assert.strictEqual(merged.summary.totalSteps, totalSteps);
+    assert.strictEqual(merged.summary.maxStepsNumber, 871);
+  } finally {
+    await pool.terminate();
+  }
+});
+
+test("a failed batch rejects after the batches before it and the pool is reusable", async () => {
+  const pool = new WorkerPool({
+    workerCount: 2,
+    calculatorConfig: {
+      mode: "steps",
+      batchSize: 10,
+      maxSteps: 100,
+      failurePolicy: "abort",
+    },
+  });
+  const merged = [];
+  try {
+    // 27 is the first number that takes more than 100 steps
+    await assert.rejects(
+      pool.processRange(1, 200, true, (batch) => merged.push(batch.start)),
+      (error) => {
+        assert.deepStrictEqual(
+          error.failures.map(({ number, action }) => ({ number, action })),
+          [{ number: 27, action: "aborted" }]
+        );
+        return true;
+      }
+    );
+    assert.deepStrictEqual(merged, [1, 11]);
+    assert.strictEqual(pool.workers.length, 0);
+
+    const rerun = await pool.processRange(1, 20, true);
+    assert.strictEqual(rerun.summary.count, 20);
+  } finally {
+    await pool.terminate();
+  }
+});